@@ -0,0 +1,91 @@
+const fs = require("fs");
+const path = require("path");
+const dotenv = require("dotenv");
+
+// Every setting the app reads. Values come from the process environment,
+// then `.env.<NODE_ENV>`, then `.env` (all in the project root), then the
+// default. A setting with `required` set (to true, to the environments that
+// need it, or to a test of the settings read so far) must be given a value
+// or startup stops with an error; one with `values` must be one of them.
+const SETTINGS = {
+  // Where the catalog is kept (see repositories/index.js). "memory" needs no
+  // database server but loses everything when the app stops.
+  STORAGE: { default: "mongo", values: ["mongo", "memory"] },
+  MONGODB_URI: { required: (config) => config.STORAGE === "mongo" },
+  PORT: { default: "9669" },
+  // Signs the session cookie.
+  COOKIE_SECRET: {
+    default: "express-playground-dev-secret",
+    required: ["production"],
+  },
+  // Overdue fine policy, in cents (see models/fine.js).
+  FINE_PER_DAY_CENTS: { default: "25", type: "integer" },
+  FINE_MAX_PER_LOAN_CENTS: { default: "1000", type: "integer" },
+  FINE_GRACE_DAYS: { default: "0", type: "integer" },
+  // Days a deleted record stays in the trash before it is purged for good.
+  TRASH_RETENTION_DAYS: { default: "30", type: "integer" },
+  // Where uploaded book covers are stored (see helpers/covers.js), relative
+  // to the project root unless absolute.
+  COVER_DIR: { default: "uploads/covers" },
+};
+
+const ENVIRONMENTS = ["development", "test", "production"];
+
+const ROOT = path.join(__dirname, "..");
+
+// Read a .env-style file, or return {} when it does not exist.
+function readEnvFile(file) {
+  try {
+    return dotenv.parse(fs.readFileSync(path.join(ROOT, file)));
+  } catch (err) {
+    if (err.code === "ENOENT") return {};
+    throw err;
+  }
+}
+
+// Build the config object, or throw an error listing every problem found.
+function load(environment) {
+  const env = environment.NODE_ENV || "development";
+  const problems = [];
+  if (!ENVIRONMENTS.includes(env)) {
+    problems.push(`NODE_ENV must be one of ${ENVIRONMENTS.join(", ")}, got "${env}".`);
+  }
+
+  const sources = [environment, readEnvFile(`.env.${env}`), readEnvFile(".env")];
+  const config = { env };
+  for (const [key, setting] of Object.entries(SETTINGS)) {
+    const source = sources.find((values) => values[key] !== undefined && values[key] !== "");
+    const value = source ? source[key] : setting.default;
+    const required = setting.required === true
+      || (Array.isArray(setting.required) && setting.required.includes(env))
+      || (typeof setting.required === "function" && setting.required(config));
+
+    if (required && (!source || value === setting.default)) {
+      problems.push(`${key} is required. Set it in the environment or in .env.${env}.`);
+    } else if (setting.values && !setting.values.includes(value)) {
+      problems.push(`${key} must be one of ${setting.values.join(", ")}, got "${value}".`);
+    } else if (setting.type === "integer" && !/^\d+$/.test(value)) {
+      problems.push(`${key} must be a whole number, got "${value}".`);
+    } else {
+      config[key] = setting.type === "integer" ? Number(value) : value;
+    }
+  }
+
+  if (problems.length > 0) {
+    const err = new Error(
+      `Invalid configuration (NODE_ENV=${env}):\n` + problems.map((problem) => `  - ${problem}`).join("\n")
+    );
+    err.problems = problems;
+    throw err;
+  }
+  return Object.freeze(config);
+}
+
+// Load once, when first required, so bad settings stop the app at startup.
+try {
+  module.exports = load(process.env);
+} catch (err) {
+  if (!err.problems) throw err;
+  console.error(err.message);
+  process.exit(1);
+}
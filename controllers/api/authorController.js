@@ -0,0 +1,100 @@
+const { Author, Book } = require("../../repositories");
+const { author_validators } = require("../authorController");
+const { publish } = require("../../helpers/events");
+
+const { validationResult } = require("express-validator");
+const asyncHandler = require("express-async-handler");
+const createError = require("http-errors");
+
+// GET list of all authors.
+exports.author_list = asyncHandler(async (_req, res, _next) => {
+  const allAuthors = await Author.find().sort({ family_name: 1 }).exec();
+  res.json(allAuthors);
+});
+
+// GET one author with their books (each with its contributors, so the
+// author's roles show).
+exports.author_detail = asyncHandler(async (req, res, next) => {
+  const [author, allBooksByAuthor] = await Promise.all([
+    Author.findById(req.params.id).exec(),
+    Book.find({ "contributors.author": req.params.id }, "title summary contributors").exec(),
+  ]);
+
+  if (author === null) {
+    return next(createError(404, "Author not found"));
+  }
+  res.json({ ...author.toJSON(), books: allBooksByAuthor });
+});
+
+// POST a new author.
+exports.author_create = [
+  ...author_validators,
+
+  asyncHandler(async (req, res, _next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const author = new Author({
+      first_name: req.body.first_name,
+      family_name: req.body.family_name,
+      date_of_birth: req.body.date_of_birth,
+      date_of_death: req.body.date_of_death,
+    });
+    await author.save();
+    publish("author.created", author);
+    res.status(201).location(`/api/v1/authors/${author._id}`).json(author);
+  }),
+];
+
+// PUT (replace) an existing author.
+exports.author_update = [
+  ...author_validators,
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const author = await Author.findByIdAndUpdate(
+      req.params.id,
+      {
+        first_name: req.body.first_name,
+        family_name: req.body.family_name,
+        date_of_birth: req.body.date_of_birth,
+        date_of_death: req.body.date_of_death,
+      },
+      { new: true, runValidators: true },
+    ).exec();
+
+    if (author === null) {
+      return next(createError(404, "Author not found"));
+    }
+    publish("author.updated", author);
+    res.json(author);
+  }),
+];
+
+// DELETE an author. Refused while books still reference them.
+exports.author_delete = asyncHandler(async (req, res, next) => {
+  const [author, allBooksByAuthor] = await Promise.all([
+    Author.findById(req.params.id).exec(),
+    Book.find({ "contributors.author": req.params.id }, "_id").exec(),
+  ]);
+
+  if (author === null) {
+    return next(createError(404, "Author not found"));
+  }
+  if (allBooksByAuthor.length > 0) {
+    return next(
+      createError(409, "Delete the books of this author first", {
+        dependents: { books: allBooksByAuthor.map((book) => book._id) },
+      }),
+    );
+  }
+
+  publish("author.deleted", await Author.trash(req.params.id));
+  res.status(204).end();
+});
@@ -0,0 +1,127 @@
+const { Book, BookInstance, Hold } = require("../../repositories");
+const { book_validators, duplicate_isbn_error, publication_details } = require("../bookController");
+const { publish } = require("../../helpers/events");
+
+const { validationResult } = require("express-validator");
+const asyncHandler = require("express-async-handler");
+const createError = require("http-errors");
+
+// GET list of all books.
+exports.book_list = asyncHandler(async (_req, res, _next) => {
+  const allBooks = await Book.find()
+    .sort({ title: 1 })
+    .populate("contributors.author")
+    .exec();
+  res.json(allBooks);
+});
+
+// GET one book with its copies.
+exports.book_detail = asyncHandler(async (req, res, next) => {
+  const [book, bookInstances] = await Promise.all([
+    Book.findById(req.params.id).populate("contributors.author").populate("genre").exec(),
+    BookInstance.find({ book: req.params.id }).exec(),
+  ]);
+
+  if (book === null) {
+    return next(createError(404, "Book not found"));
+  }
+  res.json({ ...book.toJSON(), book_instances: bookInstances });
+});
+
+// POST a new book. Credits are a `contributors` array of { author, role },
+// or a single `author` id (credited as Author).
+exports.book_create = [
+  ...book_validators,
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const existing = await Book.findByIsbn(req.body.isbn);
+    if (existing) {
+      return next(createError(409, duplicate_isbn_error(existing).msg, { existing: existing._id }));
+    }
+
+    const book = new Book({
+      title: req.body.title,
+      contributors: req.body.contributors,
+      summary: req.body.summary,
+      isbn: req.body.isbn,
+      genre: req.body.genre,
+      ...publication_details(req.body),
+    });
+    await book.save();
+    publish("book.created", book);
+    res.status(201).location(`/api/v1/books/${book._id}`).json(book);
+  }),
+];
+
+// PUT (replace) an existing book.
+exports.book_update = [
+  ...book_validators,
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const existing = await Book.findByIsbn(req.body.isbn, req.params.id);
+    if (existing) {
+      return next(createError(409, duplicate_isbn_error(existing).msg, { existing: existing._id }));
+    }
+
+    // Publication details left out are removed.
+    const details = publication_details(req.body);
+    const $unset = Object.fromEntries(
+      Object.keys(details).filter((field) => details[field] === undefined).map((field) => [field, 1]),
+    );
+    const book = await Book.findByIdAndUpdate(
+      req.params.id,
+      {
+        title: req.body.title,
+        contributors: req.body.contributors,
+        summary: req.body.summary,
+        isbn: req.body.isbn,
+        genre: req.body.genre,
+        ...details,
+        $unset,
+      },
+      { new: true, runValidators: true },
+    ).exec();
+
+    if (book === null) {
+      return next(createError(404, "Book not found"));
+    }
+    publish("book.updated", book);
+    res.json(book);
+  }),
+];
+
+// DELETE a book. Refused while copies of it still exist.
+exports.book_delete = asyncHandler(async (req, res, next) => {
+  const [book, bookInstances] = await Promise.all([
+    Book.findById(req.params.id).exec(),
+    BookInstance.find({ book: req.params.id }, "_id").exec(),
+  ]);
+
+  if (book === null) {
+    return next(createError(404, "Book not found"));
+  }
+  if (bookInstances.length > 0) {
+    return next(
+      createError(409, "Delete the copies of this book first", {
+        dependents: { book_instances: bookInstances.map((bi) => bi._id) },
+      }),
+    );
+  }
+
+  publish("book.deleted", await Book.trash(req.params.id));
+  await Hold.updateMany(
+    { book: req.params.id, status: "Waiting" },
+    { status: "Cancelled" },
+  ).exec();
+  res.status(204).end();
+});
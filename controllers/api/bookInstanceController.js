@@ -0,0 +1,113 @@
+const { BookInstance } = require("../../repositories");
+const {
+  bookinstance_validators, edited_status, offer_to_holds, publish_status_change,
+} = require("../bookInstanceController");
+const { publish } = require("../../helpers/events");
+
+const { validationResult } = require("express-validator");
+const asyncHandler = require("express-async-handler");
+const createError = require("http-errors");
+
+// GET list of all book instances.
+exports.bookinstance_list = asyncHandler(async (_req, res, _next) => {
+  const allBookInstances = await BookInstance.find().populate("book").exec();
+  res.json(allBookInstances);
+});
+
+// GET one book instance.
+exports.bookinstance_detail = asyncHandler(async (req, res, next) => {
+  const bookInstance = await BookInstance.findById(req.params.id)
+    .populate("book")
+    .exec();
+
+  if (bookInstance === null) {
+    return next(createError(404, "Book copy not found"));
+  }
+  res.json(bookInstance);
+});
+
+// POST a new book instance.
+exports.bookinstance_create = [
+  ...bookinstance_validators,
+
+  asyncHandler(async (req, res, _next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const bookInstance = new BookInstance({
+      book: req.body.book,
+      imprint: req.body.imprint,
+      status: req.body.status,
+      due_back: req.body.due_back,
+    });
+    await bookInstance.save();
+    publish("bookinstance.created", bookInstance);
+    await offer_to_holds(bookInstance);
+    res
+      .status(201)
+      .location(`/api/v1/bookinstances/${bookInstance._id}`)
+      .json(bookInstance);
+  }),
+];
+
+// PUT (replace) an existing book instance.
+exports.bookinstance_update = [
+  ...bookinstance_validators,
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const previous = await BookInstance.findById(req.params.id).exec();
+    if (previous === null) {
+      return next(createError(404, "Book copy not found"));
+    }
+    // Leaving out `status` keeps the current one; a Loaned or Reserved
+    // copy's can only be changed through circulation.
+    const { error, status, due_back } = edited_status(previous, req.body.status);
+    if (error) {
+      return next(createError(409, error));
+    }
+
+    const bookInstance = await BookInstance.findByIdAndUpdate(
+      req.params.id,
+      {
+        book: req.body.book,
+        imprint: req.body.imprint,
+        status,
+        due_back: due_back || req.body.due_back,
+      },
+      { new: true, runValidators: true },
+    ).exec();
+
+    if (bookInstance === null) {
+      return next(createError(404, "Book copy not found"));
+    }
+    publish("bookinstance.updated", bookInstance);
+    publish_status_change(bookInstance, previous.status);
+    if (previous.status !== "Available") await offer_to_holds(bookInstance);
+    res.json(bookInstance);
+  }),
+];
+
+// DELETE a book instance.
+exports.bookinstance_delete = asyncHandler(async (req, res, next) => {
+  const current = await BookInstance.findById(req.params.id).exec();
+
+  if (current === null) {
+    return next(createError(404, "Book copy not found"));
+  }
+  if (current.in_circulation) {
+    return next(createError(409, `This copy is ${current.status}: return it or end its hold before deleting it.`));
+  }
+  const bookInstance = await BookInstance.trash(req.params.id);
+  if (bookInstance === null) {
+    return next(createError(404, "Book copy not found"));
+  }
+  publish("bookinstance.deleted", bookInstance);
+  res.status(204).end();
+});
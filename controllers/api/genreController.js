@@ -0,0 +1,114 @@
+const { Genre, Book } = require("../../repositories");
+const { genre_validators, genre_parent_errors } = require("../genreController");
+const { publish } = require("../../helpers/events");
+
+const { validationResult } = require("express-validator");
+const asyncHandler = require("express-async-handler");
+const createError = require("http-errors");
+
+// GET list of all genres.
+exports.genre_list = asyncHandler(async (_req, res, _next) => {
+  const allGenres = await Genre.find().sort({ name: 1 }).exec();
+  res.json(allGenres);
+});
+
+// GET one genre with its books (not those of its subgenres).
+exports.genre_detail = asyncHandler(async (req, res, next) => {
+  const [genre, booksInGenre] = await Promise.all([
+    Genre.findById(req.params.id).exec(),
+    Book.find({ genre: req.params.id }, "title summary").exec(),
+  ]);
+
+  if (genre === null) {
+    return next(createError(404, "Genre not found"));
+  }
+  res.json({ ...genre.toJSON(), books: booksInGenre });
+});
+
+// POST a new genre. An existing genre with the same name is a conflict.
+// `parent` (optional) makes it a subgenre.
+exports.genre_create = [
+  ...genre_validators,
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req).array();
+    if (errors.length === 0) {
+      errors.push(...(await genre_parent_errors(null, req.body.parent)));
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const genreExists = await Genre.findOne({ name: req.body.name })
+      .collation({ locale: "en", strength: 2 })
+      .exec();
+    if (genreExists) {
+      return next(
+        createError(409, "Genre already exists", { existing: genreExists._id }),
+      );
+    }
+
+    const genre = new Genre({ name: req.body.name, parent: req.body.parent || undefined });
+    await genre.save();
+    publish("genre.created", genre);
+    res.status(201).location(`/api/v1/genres/${genre._id}`).json(genre);
+  }),
+];
+
+// PUT (replace) an existing genre. Leaving out `parent` makes it top-level.
+exports.genre_update = [
+  ...genre_validators,
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req).array();
+    if (errors.length === 0) {
+      errors.push(...(await genre_parent_errors(req.params.id, req.body.parent)));
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const genre = await Genre.findByIdAndUpdate(
+      req.params.id,
+      { name: req.body.name, parent: req.body.parent || null },
+      { new: true, runValidators: true },
+    ).exec();
+
+    if (genre === null) {
+      return next(createError(404, "Genre not found"));
+    }
+    publish("genre.updated", genre);
+    res.json(genre);
+  }),
+];
+
+// DELETE a genre. Refused while books are still filed under it, or while
+// it has subgenres.
+exports.genre_delete = asyncHandler(async (req, res, next) => {
+  const [genre, booksInGenre, subgenres] = await Promise.all([
+    Genre.findById(req.params.id).exec(),
+    Book.find({ genre: req.params.id }, "_id").exec(),
+    Genre.find({ parent: req.params.id }, "_id").exec(),
+  ]);
+
+  if (genre === null) {
+    return next(createError(404, "Genre not found"));
+  }
+  if (booksInGenre.length > 0) {
+    return next(
+      createError(409, "Remove the books from this genre first", {
+        dependents: { books: booksInGenre.map((book) => book._id) },
+      }),
+    );
+  }
+  if (subgenres.length > 0) {
+    return next(
+      createError(409, "Move or delete the subgenres of this genre first", {
+        dependents: { genres: subgenres.map((subgenre) => subgenre._id) },
+      }),
+    );
+  }
+
+  publish("genre.deleted", await Genre.trash(req.params.id));
+  res.status(204).end();
+});
@@ -1,66 +1,120 @@
-const ejs = require('ejs')
-const Author = require("../models/author");
-const Book = require("../models/book");
+const { Author, Book, Merge } = require("../repositories");
+const { isStaff } = require("../middleware/auth");
+const { paginate, pager } = require("../middleware/paginate");
+const { sendCsv } = require("../helpers/csv");
+const { publish } = require("../helpers/events");
 
-const { body, validationResult } = require("express-validator");
+const { body, query, matchedData, validationResult } = require("express-validator");
 const asyncHandler = require("express-async-handler");
 
-// Display list of all Authors.
-exports.author_list = asyncHandler(async (_req, res, _next) => {
-  const allAuthors = await Author.find().sort({ family_name: 1 }).exec();
-  ejs.renderFile('views/author-list.ejs', { title: 'Book Instance List', author_list: allAuthors, }, function (err, str) {
-    if (err) {
-      console.log(err);
-    } else {
-      res.render("layout", { title: "Authors", content: str });
+// Display list of all Authors, a page at a time.
+exports.author_list = [
+  paginate({
+    sorts: {
+      family_name: { label: "Family name (A–Z)", sort: { family_name: 1, first_name: 1 } },
+      "-family_name": { label: "Family name (Z–A)", sort: { family_name: -1, first_name: -1 } },
+      first_name: { label: "First name", sort: { first_name: 1, family_name: 1 } },
+      date_of_birth: { label: "Born (earliest first)", sort: { date_of_birth: 1 } },
+      "-date_of_birth": { label: "Born (latest first)", sort: { date_of_birth: -1 } },
+    },
+    defaultSort: "family_name",
+  }),
+  query("lived_from", "'Alive from' must be a year")
+    .optional({ values: "falsy" })
+    .isInt({ min: 0, max: 9999 })
+    .toInt(),
+  query("lived_to", "'Alive until' must be a year")
+    .optional({ values: "falsy" })
+    .isInt({ min: 0, max: 9999 })
+    .toInt(),
+
+  asyncHandler(async (req, res, _next) => {
+    // Only filters that passed validation are applied.
+    const filters = matchedData(req, { locations: ["query"], onlyValidData: true });
+
+    // Authors whose lifespan overlaps the requested years: born by the end of
+    // `lived_to` and not dead before the start of `lived_from`.
+    const conditions = [];
+    if (filters.lived_to) {
+      conditions.push({ date_of_birth: { $lt: new Date(Date.UTC(filters.lived_to + 1, 0, 1)) } });
     }
-  });
-});
+    if (filters.lived_from) {
+      conditions.push({
+        $or: [
+          { date_of_death: { $gte: new Date(Date.UTC(filters.lived_from, 0, 1)) } },
+          { date_of_death: null },
+        ],
+      });
+    }
+    const filter = conditions.length > 0 ? { $and: conditions } : {};
+
+    const { sort, skip, limit } = req.pagination;
+
+    if (req.query.format === "csv") {
+      // Export every matching author, in the same columns the importer reads.
+      const matchingAuthors = await Author.find(filter).sort(sort).exec();
+      return sendCsv(res, "authors.csv",
+        ["first_name", "family_name", "date_of_birth", "date_of_death"],
+        matchingAuthors);
+    }
+
+    const [allAuthors, total] = await Promise.all([
+      Author.find(filter).sort(sort).skip(skip).limit(limit).exec(),
+      Author.countDocuments(filter).exec(),
+    ]);
+
+    res.renderPage("author-list", {
+      title: "Author List",
+      author_list: allAuthors,
+      filters,
+      pager: pager(req, total),
+      errors: validationResult(req).array(),
+    }, { title: "Authors" });
+  }),
+];
 
 // Display detail page for a specific Author.
 exports.author_detail = asyncHandler(async (req, res, next) => {
   // Get details of author and all their books (in parallel)
   const [author, allBooksByAuthor] = await Promise.all([
     Author.findById(req.params.id).exec(),
-    Book.find({ author: req.params.id }, "title summary").exec(),
+    Book.find({ "contributors.author": req.params.id }, "title summary contributors")
+      .sort({ title: 1 })
+      .exec(),
   ]);
 
   if (author === null) {
+    // An author merged into another lives on as that one.
+    const survivor = await Merge.survivorOf("Author", req.params.id);
+    if (survivor) {
+      return res.redirect(Author.hydrate({ _id: survivor }).url);
+    }
     // No results.
     const err = new Error("Author not found");
     err.status = 404;
     return next(err);
   }
-  ejs.renderFile('views/author-detail.ejs', {
+  // Group the books by the role the author played, in the usual role order.
+  // A book they played several roles in is listed under each.
+  const booksByRole = Book.CONTRIBUTOR_ROLES
+    .map((role) => ({
+      role,
+      books: allBooksByAuthor.filter((book) =>
+        book.contributors.some((contributor) => contributor.author.equals(author._id) && contributor.role === role)),
+    }))
+    .filter((group) => group.books.length > 0);
+
+  res.renderPage("author-detail", {
     title: "Author Detail",
     author: author,
-    author_books: allBooksByAuthor
-  }, function (err, str) {
-    if (err) {
-      console.log(err);
-    } else {
-      res.render("layout", { title: "Author Detail", content: str });
-    }
+    author_books: allBooksByAuthor,
+    books_by_role: booksByRole,
+    is_staff: isStaff(req),
   });
 });
 
-// Display Author create form on GET.
-exports.author_create_get = (_req, res, _next) => {
-  ejs.renderFile('views/author-form.ejs', {
-    title: "Create Author",
-    errors: null
-  }, function (err, str) {
-    if (err) {
-      console.log(err);
-    } else {
-      res.render("layout", { title: "Create Author", content: str });
-    }
-  });
-};
-
-// Handle Author create on POST.
-exports.author_create_post = [
-  // Validate and sanitize fields.
+// Validate and sanitize the Author fields (shared by create, update and the JSON API).
+exports.author_validators = [
   body("first_name")
     .trim()
     .isLength({ min: 1 })
@@ -83,6 +137,20 @@ exports.author_create_post = [
     .optional({ values: "falsy" })
     .isISO8601()
     .toDate(),
+];
+
+// Display Author create form on GET.
+exports.author_create_get = (_req, res, _next) => {
+  res.renderPage("author-form", {
+    title: "Create Author",
+    errors: null
+  });
+};
+
+// Handle Author create on POST.
+exports.author_create_post = [
+  // Validate and sanitize fields.
+  ...exports.author_validators,
 
   // Process request after validation and sanitization.
   asyncHandler(async (req, res, _next) => {
@@ -99,20 +167,15 @@ exports.author_create_post = [
 
     if (!errors.isEmpty()) {
       // There are errors. Render form again with sanitized values/errors messages.
-      ejs.renderFile('views/author-form.ejs', {
+      res.renderPage("author-form", {
         title: "Create Author",
         author: author,
         errors: errors.array(),
-      }, function (err, str) {
-        if (err) {
-          console.log(err);
-        } else {
-          res.render("layout", { title: "Create Author", content: str });
-        }
       });
     } else {
       // Data from form is valid, Save author.
       await author.save();
+      publish("author.created", author);
 
       // Redirect to author list.
       res.redirect('/catalog/authors');
@@ -125,23 +188,17 @@ exports.author_delete_get = asyncHandler(async (req, res, _next) => {
   // Get details of author and all their books (in parallel)
   const [author, allBooksByAuthor] = await Promise.all([
     Author.findById(req.params.id).exec(),
-    Book.find({ author: req.params.id }, "title summary").exec(),
+    Book.find({ "contributors.author": req.params.id }, "title summary").exec(),
   ]);
 
   if (author === null) {
     // No results.
     res.redirect("/catalog/authors");
   }
-  ejs.renderFile('views/author-delete.ejs', {
+  res.renderPage("author-delete", {
     title: "Delete Author",
     author: author,
     author_books: allBooksByAuthor,
-  }, function (err, str) {
-    if (err) {
-      console.log(err);
-    } else {
-      res.render("layout", { title: "Delete Author", content: str });
-    }
   });
 });
 
@@ -150,25 +207,20 @@ exports.author_delete_post = asyncHandler(async (req, res, _next) => {
   // Get details of author and all their books (in parallel)
   const [author, allBooksByAuthor] = await Promise.all([
     Author.findById(req.params.id).exec(),
-    Book.find({ author: req.params.id }, "title summary").exec(),
+    Book.find({ "contributors.author": req.params.id }, "title summary").exec(),
   ]);
 
   if (allBooksByAuthor.length > 0) {
     // Author has books. Render in same way as for GET route.
-    ejs.renderFile('views/author-delete.ejs', {
+    res.renderPage("author-delete", {
       title: "Delete Author",
       author: author,
       author_books: allBooksByAuthor,
-    }, function (err, str) {
-      if (err) {
-        console.log(err);
-      } else {
-        res.render("layout", { title: "Delete Author", content: str });
-      }
     });
   } else {
-    // Author has no books. Delete object and redirect to the list of authors.
-    await Author.findByIdAndRemove(req.body.authorid);
+    // Author has no books. Move it to the trash and redirect to the list of authors.
+    const trashed = await Author.trash(req.body.authorid);
+    if (trashed) publish("author.deleted", trashed);
     res.redirect("/catalog/authors");
   }
 });
@@ -182,46 +234,19 @@ exports.author_update_get = asyncHandler(async (req, res, next) => {
     err.status = 404;
     return next(err);
   }
-  ejs.renderFile('views/author-form.ejs', {
+  res.renderPage("author-form", {
     title: "Update Author",
     errors: null
-  }, function (err, str) {
-    if (err) {
-      console.log(err);
-    } else {
-      res.render("layout", { title: "Update Author", content: str });
-    }
   });
 });
 
 // Handle Author update on POST.
 exports.author_update_post = [
   // Validate and sanitize fields.
-  body("first_name")
-    .trim()
-    .isLength({ min: 1 })
-    .escape()
-    .withMessage("First name must be specified.")
-    .isAlphanumeric()
-    .withMessage("First name has non-alphanumeric characters."),
-  body("family_name")
-    .trim()
-    .isLength({ min: 1 })
-    .escape()
-    .withMessage("Family name must be specified.")
-    .isAlphanumeric()
-    .withMessage("Family name has non-alphanumeric characters."),
-  body("date_of_birth", "Invalid date of birth")
-    .optional({ values: "falsy" })
-    .isISO8601()
-    .toDate(),
-  body("date_of_death", "Invalid date of death")
-    .optional({ values: "falsy" })
-    .isISO8601()
-    .toDate(),
+  ...exports.author_validators,
 
   // Process request after validation and sanitization.
-  asyncHandler(async (req, res, _next) => {
+  asyncHandler(async (req, res, next) => {
     // Extract the validation errors from a request.
     const errors = validationResult(req);
 
@@ -236,21 +261,22 @@ exports.author_update_post = [
 
     if (!errors.isEmpty()) {
       // There are errors. Render the form again with sanitized values and error messages.
-      ejs.renderFile('views/author-form.ejs', {
+      res.renderPage("author-form", {
         title: "Update Author",
         author: author,
         errors: errors.array(),
-      }, function (err, str) {
-        if (err) {
-          console.log(err);
-        } else {
-          res.render("layout", { title: "Update Author", content: str });
-        }
       });
     } else {
       // Data from form is valid. Update the record.
-      await Author.findByIdAndUpdate(req.params.id, author);
-      res.redirect(author.url);
+      const updated = await Author.findByIdAndUpdate(req.params.id, author, { new: true }).exec();
+      if (updated === null) {
+        // Deleted while the form was open.
+        const err = new Error("Author not found");
+        err.status = 404;
+        return next(err);
+      }
+      publish("author.updated", updated);
+      res.redirect(updated.url);
     }
   }),
 ];
@@ -1,74 +1,291 @@
-const ejs = require('ejs')
-const Book = require("../models/book");
-const Author = require("../models/author");
-const Genre = require("../models/genre");
-const BookInstance = require("../models/bookinstance");
-
-const { body, validationResult } = require("express-validator");
+const { Book, Author, Genre, BookInstance, Hold, Loan } = require("../repositories");
+const { isStaff } = require("../middleware/auth");
+const { paginate, pager } = require("../middleware/paginate");
+const { sendCsv } = require("../helpers/csv");
+const { normalizeIsbn } = require("../helpers/isbn");
+const { MARC_FORMATS, sendMarc } = require("../helpers/marc");
+const { CITATION_FORMATS, formatCitations, sendCitations } = require("../helpers/citations");
+const { MAX_COVER_BYTES, coverProblem, saveCover } = require("../helpers/covers");
+const { COLOURS, barChart, lineChart } = require("../helpers/charts");
+const { publish } = require("../helpers/events");
+
+const { DateTime } = require("luxon");
+const { ObjectId } = require("mongoose").Types;
+const multer = require("multer");
+const { body, query, matchedData, validationResult } = require("express-validator");
 const asyncHandler = require("express-async-handler");
 
-exports.index = asyncHandler(async (_req, res, _next) => {
-  // Get details of books, book instances, authors and genre counts (in parallel)
-  const [
-    numBooks,
-    numBookInstances,
-    numAvailableBookInstances,
-    numAuthors,
-    numGenres,
-  ] = await Promise.all([
-    Book.countDocuments({}).exec(),
-    BookInstance.countDocuments({}).exec(),
-    BookInstance.countDocuments({ status: "Available" }).exec(),
-    Author.countDocuments({}).exec(),
-    Author.countDocuments({}).exec(),
-  ]);
+// The periods the circulation chart can count loans and returns over, by
+// the `period` query value: the last `count` days or weeks, this one included.
+const CIRCULATION_PERIODS = {
+  day: { label: "Last 30 days", unit: "day", count: 30, format: "d LLL" },
+  week: { label: "Last 12 weeks", unit: "week", count: 12, format: "d LLL" },
+};
+const GROWTH_MONTHS = 12;
+const MOST_BORROWED_COUNT = 10;
+const STATUS_COLOURS = { Available: COLOURS[1], Loaned: COLOURS[2], Reserved: COLOURS[4], Maintenance: COLOURS[3] };
+
+// The `count` periods of `unit` up to and including the current one, oldest
+// first, with a counter for each.
+function periods(unit, count, format) {
+  const current = DateTime.now().startOf(unit);
+  return Array.from({ length: count }, (_, i) => {
+    const start = current.minus({ [unit + "s"]: count - 1 - i });
+    return { key: start.toISODate(), label: start.toFormat(format), count: 0 };
+  });
+}
+
+// How many of `dates` fall in each of `slots` (from periods()).
+function countByPeriod(dates, slots, unit) {
+  const index = new Map(slots.map((slot, i) => [slot.key, i]));
+  const counts = slots.map(() => 0);
+  for (const date of dates) {
+    const i = index.get(DateTime.fromJSDate(date).startOf(unit).toISODate());
+    if (i !== undefined) counts[i]++;
+  }
+  return counts;
+}
 
-  ejs.renderFile('views/index.ejs', {
-    title: 'Local Library Home', book_count: numBooks,
-    book_instance_count: numBookInstances,
-    book_instance_available_count: numAvailableBookInstances,
-    author_count: numAuthors,
-    genre_count: numGenres,
-  }, function (err, str) {
-    if (err) {
-      console.log(err);
-    } else {
-      res.render('layout', { title: 'Local Library Home', content: str });
+// Display the home page: record counts and circulation charts.
+exports.index = [
+  query("period").optional().isIn(Object.keys(CIRCULATION_PERIODS)),
+
+  asyncHandler(async (req, res, _next) => {
+    const periodKey = validationResult(req).isEmpty() && req.query.period ? req.query.period : "day";
+    const period = CIRCULATION_PERIODS[periodKey];
+
+    // Counts, and the loans and returns within the chart's window, come from
+    // the database rather than by reading every record.
+    const statuses = BookInstance.schema.path("status").enumValues;
+    const slots = periods(period.unit, period.count, period.format);
+    const windowStart = DateTime.fromISO(slots[0].key).toJSDate();
+    const months = periods("month", GROWTH_MONTHS, "LLL yy");
+    // Records created before the end of each month, by their ids' timestamps.
+    const createdBy = months.map(({ key }) => ({
+      _id: { $lt: ObjectId.createFromTime(DateTime.fromISO(key).plus({ months: 1 }).toSeconds()) },
+    }));
+    const [
+      numBooks, numAuthors, numGenres, numLoans, statusCounts,
+      checkouts, returns, bookTop, genreTop, booksHeld, copiesHeld,
+    ] = await Promise.all([
+      Book.countDocuments({}).exec(),
+      Author.countDocuments({}).exec(),
+      Genre.countDocuments({}).exec(),
+      Loan.countDocuments({}).exec(),
+      Promise.all(statuses.map((status) => BookInstance.countDocuments({ status }).exec())),
+      Loan.find({ checked_out: { $gte: windowStart } }, "checked_out").exec(),
+      Loan.find({ returned: { $gte: windowStart } }, "returned").exec(),
+      Loan.mostBorrowed("book", MOST_BORROWED_COUNT),
+      Loan.mostBorrowed("genre", MOST_BORROWED_COUNT),
+      Promise.all(createdBy.map((filter) => Book.countDocuments(filter).exec())),
+      Promise.all(createdBy.map((filter) => BookInstance.countDocuments(filter).exec())),
+    ]);
+
+    // Copies by status.
+    const byStatus = statuses.map((status, index) => ({
+      label: status,
+      value: statusCounts[index],
+      url: `/catalog/bookinstances?status=${status}`,
+      colour: STATUS_COLOURS[status],
+    }));
+
+    // Most-borrowed books and genres, named (genres in the trash are skipped).
+    const [topBooks, topGenres] = await Promise.all([
+      Book.find({ _id: { $in: bookTop.map((row) => row._id) } }, "title").exec(),
+      Genre.find({ _id: { $in: genreTop.map((row) => row._id) } }, "name").exec(),
+    ]);
+    const named = (rows, records, label) => {
+      const byId = new Map(records.map((record) => [record._id.toString(), record]));
+      return rows
+        .filter((row) => byId.has(row._id.toString()))
+        .map((row) => {
+          const record = byId.get(row._id.toString());
+          return { label: record[label], value: row.loans, url: record.url };
+        });
+    };
+
+    res.renderPage("index", {
+      title: "Local Library Home",
+      book_count: numBooks,
+      book_instance_count: statusCounts.reduce((sum, count) => sum + count, 0),
+      book_instance_available_count: statusCounts[statuses.indexOf("Available")],
+      author_count: numAuthors,
+      genre_count: numGenres,
+      loan_count: numLoans,
+      periods: Object.entries(CIRCULATION_PERIODS).map(([key, { label }]) => ({ key, label })),
+      period: periodKey,
+      status_chart: barChart(byStatus, { labelWidth: 110 }),
+      circulation_chart: lineChart(slots.map((slot) => slot.label), [
+        { name: "Loans", values: countByPeriod(checkouts.map((loan) => loan.checked_out), slots, period.unit) },
+        { name: "Returns", values: countByPeriod(returns.map((loan) => loan.returned), slots, period.unit) },
+      ]),
+      books_chart: barChart(named(bookTop, topBooks, "title")),
+      genres_chart: barChart(named(genreTop, topGenres, "name")),
+      growth_chart: lineChart(months.map((month) => month.label), [
+        { name: "Books", values: booksHeld },
+        { name: "Copies", values: copiesHeld },
+      ]),
+    });
+  }),
+];
+
+// Display list of all books, a page at a time.
+exports.book_list = [
+  paginate({
+    sorts: {
+      title: { label: "Title (A–Z)", sort: { title: 1 } },
+      "-title": { label: "Title (Z–A)", sort: { title: -1 } },
+      isbn: { label: "ISBN", sort: { isbn: 1 } },
+      publication_year: { label: "Published (earliest first)", sort: { publication_year: 1, title: 1 } },
+      "-publication_year": { label: "Published (latest first)", sort: { publication_year: -1, title: 1 } },
+      "-created": { label: "Newest first", sort: { _id: -1 } },
+    },
+    defaultSort: "title",
+  }),
+  query("genre", "Unknown genre").optional({ values: "falsy" }).isMongoId(),
+  // Publisher, edition, language and series are chosen from the values in
+  // use, which are stored escaped already.
+  query(["publisher", "edition", "series"]).optional({ values: "falsy" }).isString(),
+  query("language", "Unknown language").optional({ values: "falsy" }).isISO6391(),
+  query("year_from", "'Published from' must be a year")
+    .optional({ values: "falsy" })
+    .isInt({ min: 0, max: 9999 })
+    .toInt(),
+  query("year_to", "'Published until' must be a year")
+    .optional({ values: "falsy" })
+    .isInt({ min: 0, max: 9999 })
+    .toInt(),
+  query("pages_min", "'At least' must be a number of pages")
+    .optional({ values: "falsy" })
+    .isInt({ min: 1 })
+    .toInt(),
+  query("pages_max", "'At most' must be a number of pages")
+    .optional({ values: "falsy" })
+    .isInt({ min: 1 })
+    .toInt(),
+
+  asyncHandler(async (req, res, _next) => {
+    // Only filters that passed validation are applied.
+    const filters = matchedData(req, { locations: ["query"], onlyValidData: true });
+    const filter = {};
+    if (filters.genre) filter.genre = filters.genre;
+    for (const field of ["publisher", "edition", "language", "series"]) {
+      if (filters[field]) filter[field] = filters[field];
+    }
+    if (filters.year_from || filters.year_to) {
+      filter.publication_year = {};
+      if (filters.year_from) filter.publication_year.$gte = filters.year_from;
+      if (filters.year_to) filter.publication_year.$lte = filters.year_to;
+    }
+    if (filters.pages_min || filters.pages_max) {
+      filter.page_count = {};
+      if (filters.pages_min) filter.page_count.$gte = filters.pages_min;
+      if (filters.pages_max) filter.page_count.$lte = filters.pages_max;
     }
-  });
-  // res.render("index", {
-  //   title: "Local Library Home",
-  //   book_count: numBooks,
-  //   book_instance_count: numBookInstances,
-  //   book_instance_available_count: numAvailableBookInstances,
-  //   author_count: numAuthors,
-  //   genre_count: numGenres,
-  // });
-});
 
-// Display list of all books.
-exports.book_list = asyncHandler(async (_req, res, _next) => {
-  const allBooks = await Book.find({}, "title author")
-    .sort({ title: 1 })
-    .populate("author")
-    .exec();
-  // const allBooks = {}
-
-  ejs.renderFile('views/book-list.ejs', { title: 'Book List', book_list: allBooks }, function (err, str) {
-    if (err) {
-      console.log(err);
-    } else {
-      res.render("layout", { title: "Book List", content: str });
+    const { sort, skip, limit } = req.pagination;
+
+    if (req.query.format === "csv" || DOWNLOAD_FORMATS.includes(req.query.format)) {
+      // Export every matching book: as MARC records or citations, or as CSV
+      // in the same columns the importer reads.
+      const matchingBooks = await Book.find(filter)
+        .sort(sort)
+        .populate("contributors.author")
+        .populate("genre")
+        .exec();
+      if (req.query.format !== "csv") {
+        return sendBooks(res, "books", req.query.format, matchingBooks);
+      }
+      return sendCsv(res, "books.csv", ["title", "author", "summary", "isbn", "genre", ...PUBLICATION_FIELDS],
+        matchingBooks.map((book) => ({
+          title: book.title,
+          author: book.byline,
+          summary: book.summary,
+          isbn: book.isbn_formatted,
+          genre: book.genre.map((genre) => genre.name).join("; "),
+          ...exports.publication_details(book),
+        })));
     }
-  });
-});
+
+    const [allBooks, total, allGenres, publishers, editions, languages, series] = await Promise.all([
+      Book.find(filter, "title contributors publication_year series series_number cover")
+        .sort(sort)
+        .skip(skip)
+        .limit(limit)
+        .populate("contributors.author")
+        .exec(),
+      Book.countDocuments(filter).exec(),
+      Genre.find().sort({ name: 1 }).exec(),
+      Book.distinct("publisher").exec(),
+      Book.distinct("edition").exec(),
+      Book.distinct("language").exec(),
+      Book.distinct("series").exec(),
+    ]);
+
+    // Languages are listed by name rather than code.
+    const languageNames = new Intl.DisplayNames(["en"], { type: "language" });
+    res.renderPage("book-list", {
+      title: "Book List",
+      book_list: allBooks,
+      genres: allGenres,
+      choices: {
+        publisher: publishers.filter(Boolean).sort(),
+        edition: editions.filter(Boolean).sort(),
+        language: languages.filter(Boolean)
+          .map((code) => ({ code, name: languageNames.of(code) }))
+          .sort((a, b) => a.name.localeCompare(b.name)),
+        series: series.filter(Boolean).sort(),
+      },
+      filters,
+      pager: pager(req, total),
+      errors: validationResult(req).array(),
+    });
+  }),
+];
+
+// Books can be downloaded as MARC records or as citations, by `format`.
+const DOWNLOAD_FORMATS = [...MARC_FORMATS, ...CITATION_FORMATS];
+
+function sendBooks(res, name, format, books) {
+  if (MARC_FORMATS.includes(format)) {
+    return sendMarc(res, name, format, books);
+  }
+  return sendCitations(res, name, format, books);
+}
+
+// Download citations of the books ticked on the book list.
+exports.book_citations = [
+  query("format", "Unknown citation format").isIn(CITATION_FORMATS),
+  query("book").optional().toArray(),
+  query("book.*", "Unknown book").isMongoId(),
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+    const ids = req.query.book || [];
+    if (!errors.isEmpty() || ids.length === 0) {
+      const err = new Error(errors.isEmpty() ? "Tick the books to cite on the book list first." : errors.array()[0].msg);
+      err.status = 400;
+      return next(err);
+    }
+
+    const books = await Book.find({ _id: { $in: ids } })
+      .sort({ title: 1 })
+      .populate("contributors.author")
+      .exec();
+    sendCitations(res, "citations", req.query.format, books);
+  }),
+];
 
 // Display detail page for a specific book.
 exports.book_detail = asyncHandler(async (req, res, next) => {
-  // Get details of books, book instances for specific book
-  const [book, bookInstances] = await Promise.all([
-    Book.findById(req.params.id).populate("author").populate("genre").exec(),
+  // Get details of books, book instances and the hold queue for specific book
+  const [book, bookInstances, activeHolds] = await Promise.all([
+    Book.findById(req.params.id).populate("contributors.author").populate("genre").exec(),
     BookInstance.find({ book: req.params.id }).exec(),
+    Hold.find({ book: req.params.id, status: { $in: ["Waiting", "Ready"] } })
+      .sort({ placed: 1 })
+      .populate("patron")
+      .exec(),
   ]);
 
   if (book === null) {
@@ -77,42 +294,25 @@ exports.book_detail = asyncHandler(async (req, res, next) => {
     err.status = 404;
     return next(err);
   }
-  ejs.renderFile('views/book-detail.ejs', {
+
+  if (DOWNLOAD_FORMATS.includes(req.query.format)) {
+    // The book's catalog record, for other libraries, or its citation.
+    return sendBooks(res, `book-${book.isbn}`, req.query.format, [book]);
+  }
+  res.renderPage("book-detail", {
     title: book.title,
     book,
+    citations: formatCitations(book),
     book_instances: bookInstances,
-  }, function (err, str) {
-    if (err) {
-      console.log(err);
-    } else {
-      res.render("layout", { title: "Book Detail", content: str });
-    }
-  });
-});
-
-// Display book create form on GET.
-exports.book_create_get = asyncHandler(async (req, res, next) => {
-  // Get all authors and genres, which we can use for adding to our book.
-  const [allAuthors, allGenres] = await Promise.all([
-    Author.find().exec(),
-    Genre.find().exec(),
-  ]);
-  ejs.renderFile('views/book-form.ejs', {
-    title: "Create Book",
-    authors: allAuthors,
-    genres: allGenres,
-    errors: null
-  }, function (err, str) {
-    if (err) {
-      console.log(err);
-    } else {
-      res.render("layout", { title: "Create Book", content: str });
-    }
-  });
+    ready_holds: activeHolds.filter((hold) => hold.status === "Ready"),
+    // Array order is queue order: position is index + 1.
+    hold_queue: activeHolds.filter((hold) => hold.status === "Waiting"),
+    is_staff: isStaff(req),
+  }, { title: "Book Detail" });
 });
 
-// Handle book create on POST.
-exports.book_create_post = [
+// Validate and sanitize the Book fields (shared by create, update and the JSON API).
+exports.book_validators = [
   // Convert the genre to an array.
   (req, _res, next) => {
     if (!(req.body.genre instanceof Array)) {
@@ -122,67 +322,226 @@ exports.book_create_post = [
     next();
   },
 
-  // Validate and sanitize fields.
   body("title", "Title must not be empty.")
     .trim()
     .isLength({ min: 1 })
     .escape(),
-  body("author", "Author must not be empty.")
+  // Gather the contributors into one list: from the form's parallel
+  // contributor_author/contributor_role fields, or from a JSON `contributors`
+  // array, or from a single `author` (credited as Author).
+  (req, _res, next) => {
+    if (!Array.isArray(req.body.contributors)) {
+      const authors = [].concat(req.body.contributor_author ?? req.body.author ?? []);
+      const roles = [].concat(req.body.contributor_role ?? []);
+      req.body.contributors = authors.map((author, i) => ({ author, role: roles[i] || "Author" }));
+    }
+    next();
+  },
+  body("contributors", "A book needs at least one contributor.").isArray({ min: 1 }),
+  body("contributors.*.author", "Choose an author for each contributor.")
     .trim()
     .isLength({ min: 1 })
     .escape(),
+  body("contributors.*.role", "Unknown contributor role.").isIn(Book.CONTRIBUTOR_ROLES),
   body("summary", "Summary must not be empty.")
     .trim()
     .isLength({ min: 1 })
     .escape(),
-  body("isbn", "ISBN must not be empty").trim().isLength({ min: 1 }).escape(),
+  body("isbn", "ISBN must not be empty")
+    .trim()
+    .isLength({ min: 1 })
+    .bail()
+    .custom((value) => normalizeIsbn(value) !== null)
+    .withMessage("ISBN is not a valid ISBN-10 or ISBN-13. Check for a mistyped digit.")
+    .bail()
+    // Store every ISBN in the same form so duplicates can be found.
+    .customSanitizer(normalizeIsbn),
   body("genre.*").escape(),
-  // Process request after validation and sanitization.
+  body("publisher", "Publisher must be at most 100 characters.")
+    .optional({ values: "falsy" })
+    .trim()
+    .isLength({ max: 100 })
+    .escape(),
+  body("publication_year", "Publication year must be a year, e.g. 1968.")
+    .optional({ values: "falsy" })
+    .isInt({ min: 0, max: 9999 })
+    .toInt(),
+  body("edition", "Edition must be at most 50 characters.")
+    .optional({ values: "falsy" })
+    .trim()
+    .isLength({ max: 50 })
+    .escape(),
+  body("language", "Language must be a two-letter ISO 639-1 code, e.g. en or fr.")
+    .optional({ values: "falsy" })
+    .trim()
+    .toLowerCase()
+    .isISO6391(),
+  body("page_count", "Page count must be a whole number of pages.")
+    .optional({ values: "falsy" })
+    .isInt({ min: 1 })
+    .toInt(),
+  body("series", "Series must be at most 100 characters.")
+    .optional({ values: "falsy" })
+    .trim()
+    .isLength({ max: 100 })
+    .escape(),
+  body("series_number", "Number in series must be a number, e.g. 2 or 2.5.")
+    .optional({ values: "falsy" })
+    .isFloat({ min: 0 })
+    .toFloat()
+    .bail()
+    .custom((_value, { req }) => Boolean(req.body.series))
+    .withMessage("A number in series needs a series."),
+];
+
+// Fields that describe a book's publication, all optional.
+const PUBLICATION_FIELDS = [
+  "publisher", "publication_year", "edition", "language", "page_count", "series", "series_number",
+];
+exports.publication_fields = PUBLICATION_FIELDS;
+
+// The publication fields from a validated request body, with those left
+// blank unset (shared by the form, the JSON API and the CSV importer).
+exports.publication_details = (body) =>
+  Object.fromEntries(PUBLICATION_FIELDS.map((field) => [
+    field,
+    body[field] === "" || body[field] === null ? undefined : body[field],
+  ]));
+
+// Form error for an ISBN that another book already has, linking to that book
+// (or to the trash, if that is where it is).
+exports.duplicate_isbn_error = (existing) =>
+  existing.deleted_at
+    ? {
+      msg: `ISBN ${existing.isbn_formatted} is used by "${existing.title}", which is in the trash. Restore or purge it first.`,
+      url: "/catalog/trash",
+    }
+    : {
+      msg: `ISBN ${existing.isbn_formatted} is already used by "${existing.title}".`,
+      url: existing.url,
+    };
+
+// Covers are read into memory and checked before anything is written to disk.
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_COVER_BYTES, files: 1 },
+});
+
+// Parse the multipart book form, with any cover as `req.file`. A cover that is
+// too large becomes a form error rather than an error page; the cover is the
+// form's last field, so every other field has been read by then.
+function uploadCover(req, res, next) {
+  upload.single("cover")(req, res, (err) => {
+    if (err instanceof multer.MulterError && err.code === "LIMIT_FILE_SIZE") {
+      req.coverError = `The cover must be at most ${MAX_COVER_BYTES / 1024 / 1024} MB.`;
+      return next();
+    }
+    next(err);
+  });
+}
+
+// The problems with the uploaded cover, if any.
+async function coverErrors(req) {
+  const problem = req.coverError || (req.file ? await coverProblem(req.file.buffer) : null);
+  return problem ? [{ msg: problem }] : [];
+}
+
+// The buttons on the book form that add, remove or move a contributor row
+// (e.g. "up-2") rather than submit the book.
+function editContributors(contributors, action) {
+  const list = [...contributors];
+  const [verb, index] = [action.split("-")[0], Number(action.split("-")[1])];
+  if (verb === "add") {
+    list.push({ author: "", role: "Author" });
+  } else if (verb === "remove") {
+    list.splice(index, 1);
+  } else if (verb === "up" && index > 0) {
+    list.splice(index - 1, 0, ...list.splice(index, 1));
+  } else if (verb === "down" && index < list.length - 1) {
+    list.splice(index + 1, 0, ...list.splice(index, 1));
+  }
+  return list;
+}
 
+// Render the book form for `book` (new or being updated), with every author
+// and genre to choose from and the book's genres checked. `contributors`,
+// where given, are the rows as submitted (some perhaps still empty).
+async function renderBookForm(res, title, { book, contributors, removingCover = false, errors = null, page } = {}) {
+  const [allAuthors, allGenres] = await Promise.all([
+    Author.find().sort({ family_name: 1, first_name: 1 }).exec(),
+    Genre.find().exec(),
+  ]);
+  // Mark our selected genres as checked.
+  const bookGenres = book ? book.genre.map((genre) => String(genre._id || genre)) : [];
+  for (const genre of allGenres) {
+    if (bookGenres.includes(String(genre._id))) {
+      genre.checked = "true";
+    }
+  }
+  res.renderPage("book-form", {
+    title,
+    authors: allAuthors,
+    genres: allGenres,
+    roles: Book.CONTRIBUTOR_ROLES,
+    // Rows as { author: id, role }, with one empty row to start a new book.
+    contributors: (contributors || (book ? book.contributors : [{ author: "", role: "Author" }]))
+      .map(({ author, role }) => ({ author: author ? String(author._id || author) : "", role })),
+    book,
+    remove_cover: removingCover,
+    max_cover_mb: MAX_COVER_BYTES / 1024 / 1024,
+    errors,
+  }, page);
+}
+
+// Display book create form on GET.
+exports.book_create_get = asyncHandler(async (req, res, next) => {
+  await renderBookForm(res, "Create Book");
+});
+
+// Handle book create on POST.
+exports.book_create_post = [
+  uploadCover,
+  ...exports.book_validators,
+
+  // Process request after validation and sanitization.
   asyncHandler(async (req, res, next) => {
     // Extract the validation errors from a request.
-    const errors = validationResult(req);
+    const errors = validationResult(req).array();
 
     // Create a Book object with escaped and trimmed data.
     const book = new Book({
       title: req.body.title,
-      author: req.body.author,
       summary: req.body.summary,
       isbn: req.body.isbn,
       genre: req.body.genre,
+      ...exports.publication_details(req.body),
     });
+    // Set separately: a row with no author chosen yet cannot be cast.
+    book.contributors = req.body.contributors.filter((contributor) => contributor.author);
 
-    if (!errors.isEmpty()) {
-      // There are errors. Render form again with sanitized values/error messages.
-
-      // Get all authors and genres for form.
-      const [allAuthors, allGenres] = await Promise.all([
-        Author.find().exec(),
-        Genre.find().exec(),
-      ]);
-
-      // Mark our selected genres as checked.
-      for (const genre of allGenres) {
-        if (book.genre.indexOf(genre._id) > -1) {
-          genre.checked = 'true';
-        }
-      }
-      ejs.renderFile('views/book-form.ejs', {
-        ttitle: "Create Book",
-        authors: allAuthors,
-        genres: allGenres,
-        book: book,
-        errors: errors.array(),
-      }, { book }, function (err, str) {
-        if (err) {
-          console.log(err);
-        } else {
-          res.render("layout", { title: "Create Book", content: str });
-        }
+    if (req.body.contributor_action) {
+      // Adding, removing or moving a contributor only redraws the form.
+      return renderBookForm(res, "Create Book", {
+        book,
+        contributors: editContributors(req.body.contributors, req.body.contributor_action),
       });
+    }
+
+    errors.push(...(await coverErrors(req)));
+    if (errors.length === 0) {
+      // Each ISBN belongs to exactly one book.
+      const existing = await Book.findByIsbn(book.isbn);
+      if (existing) errors.push(exports.duplicate_isbn_error(existing));
+    }
+
+    if (errors.length > 0) {
+      // There are errors. Render form again with sanitized values/error messages.
+      await renderBookForm(res, "Create Book", { book, contributors: req.body.contributors, errors });
     } else {
-      // Data from form is valid. Save book.
+      // Data from form is valid. Save book, with its cover if one was uploaded.
+      if (req.file) book.cover = await saveCover(req.file.buffer);
       await book.save();
+      publish("book.created", book);
       res.redirect(book.url);
     }
   }),
@@ -191,7 +550,7 @@ exports.book_create_post = [
 // Display book delete form on GET.
 exports.book_delete_get = asyncHandler(async (req, res, _next) => {
   const [book, bookInstances] = await Promise.all([
-    Book.findById(req.params.id).populate("author").populate("genre").exec(),
+    Book.findById(req.params.id).populate("contributors.author").populate("genre").exec(),
     BookInstance.find({ book: req.params.id }).exec(),
   ]);
 
@@ -199,17 +558,11 @@ exports.book_delete_get = asyncHandler(async (req, res, _next) => {
     // No results.
     res.redirect("/catalog/books");
   }
-  ejs.renderFile('views/book-delete.ejs', {
+  res.renderPage("book-delete", {
     title: "Remove Book",
     book,
     book_instances: bookInstances,
     errors: null
-  }, function (err, str) {
-    if (err) {
-      console.log(err);
-    } else {
-      res.render("layout", { title: "Remove Book", content: str });
-    }
   });
 })
 
@@ -218,7 +571,7 @@ exports.book_delete_post = asyncHandler(async (req, res, _next) => {
   // Assume the post has valid id (ie no validation/sanitization).
 
   const [book, bookInstances] = await Promise.all([
-    Book.findById(req.params.id).populate("author").populate("genre").exec(),
+    Book.findById(req.params.id).populate("contributors.author").populate("genre").exec(),
     BookInstance.find({ book: req.params.id }).exec(),
   ]);
 
@@ -229,33 +582,28 @@ exports.book_delete_post = asyncHandler(async (req, res, _next) => {
 
   if (bookInstances.length > 0) {
     // Book has book_instances. Render in same way as for GET route.
-    ejs.renderFile('views/book-delete.ejs', {
+    res.renderPage("book-delete", {
       title: "Remove Book",
       book,
       book_instances: bookInstances,
       errors: null
-    }, function (err, str) {
-      if (err) {
-        console.log(err);
-      } else {
-        res.render("layout", { title: "Remove Book", content: str });
-      }
     });
   } else {
-    // Book has no BookInstance objects. Delete object and redirect to the list of books.
-    await Book.findByIdAndRemove(req.body.id);
+    // Book has no BookInstance objects. Move it to the trash and redirect to the list of books.
+    const trashed = await Book.trash(req.body.id);
+    if (trashed) publish("book.deleted", trashed);
+    // Nobody can be served from a book that no longer exists.
+    await Hold.updateMany(
+      { book: req.body.id, status: "Waiting" },
+      { status: "Cancelled" },
+    ).exec();
     res.redirect("/catalog/books");
   }
 });
 
 // Display book update form on GET.
 exports.book_update_get = asyncHandler(async (req, res, next) => {
-  // Get book, authors and genres for form.
-  const [book, allAuthors, allGenres] = await Promise.all([
-    Book.findById(req.params.id).populate("author").populate("genre").exec(),
-    Author.find().exec(),
-    Genre.find().exec(),
-  ]);
+  const book = await Book.findById(req.params.id).populate("genre").exec();
 
   if (book === null) {
     // No results.
@@ -263,109 +611,86 @@ exports.book_update_get = asyncHandler(async (req, res, next) => {
     err.status = 404;
     return next(err);
   }
-
-  // Mark our selected genres as checked.
-  for (const genre of allGenres) {
-    for (const book_g of book.genre) {
-      if (genre._id.toString() === book_g._id.toString()) {
-        genre.checked = "true";
-      }
-    }
-  }
-  ejs.renderFile('views/book-form.ejs', {
-    title: "Update Book",
-    authors: allAuthors,
-    genres: allGenres,
-    book,
-    errors: null
-  }, function (err, str) {
-    if (err) {
-      console.log(err);
-    } else {
-      res.render("layout", { title: "Create Book", content: str });
-    }
-  });
+  await renderBookForm(res, "Update Book", { book, page: { title: "Create Book" } });
 });
 
 // Handle book update on POST.
 exports.book_update_post = [
-  // Convert the genre to an array.
-  (req, _res, next) => {
-    if (!(req.body.genre instanceof Array)) {
-      if (typeof req.body.genre === "undefined") {
-        req.body.genre = [];
-      } else {
-        req.body.genre = new Array(req.body.genre);
-      }
-    }
-    next();
-  },
-
-  // Validate and sanitize fields.
-  body("title", "Title must not be empty.")
-    .trim()
-    .isLength({ min: 1 })
-    .escape(),
-  body("author", "Author must not be empty.")
-    .trim()
-    .isLength({ min: 1 })
-    .escape(),
-  body("summary", "Summary must not be empty.")
-    .trim()
-    .isLength({ min: 1 })
-    .escape(),
-  body("isbn", "ISBN must not be empty").trim().isLength({ min: 1 }).escape(),
-  body("genre.*").escape(),
+  uploadCover,
+  ...exports.book_validators,
 
   // Process request after validation and sanitization.
-  asyncHandler(async (req, res, _next) => {
+  asyncHandler(async (req, res, next) => {
     // Extract the validation errors from a request.
-    const errors = validationResult(req);
+    const errors = validationResult(req).array();
 
     // Create a Book object with escaped/trimmed data and old id.
     const book = new Book({
       title: req.body.title,
-      author: req.body.author,
       summary: req.body.summary,
       isbn: req.body.isbn,
       genre: typeof req.body.genre === "undefined" ? [] : req.body.genre,
+      ...exports.publication_details(req.body),
       _id: req.params.id, // This is required, or a new ID will be assigned!
     });
+    // Set separately: a row with no author chosen yet cannot be cast.
+    book.contributors = req.body.contributors.filter((contributor) => contributor.author);
+    // The cover stays unless a new one is uploaded or it is removed.
+    const current = await Book.findById(req.params.id, "cover").exec();
+    if (current && current.cover) book.cover = current.cover;
+
+    if (req.body.contributor_action) {
+      // Adding, removing or moving a contributor only redraws the form.
+      return renderBookForm(res, "Update Book", {
+        book,
+        contributors: editContributors(req.body.contributors, req.body.contributor_action),
+        removingCover: Boolean(req.body.remove_cover),
+        page: { title: "Create Book" },
+      });
+    }
 
-    if (!errors.isEmpty()) {
-      // There are errors. Render form again with sanitized values/error messages.
+    errors.push(...(await coverErrors(req)));
+    if (errors.length === 0) {
+      // Each ISBN belongs to exactly one book.
+      const existing = await Book.findByIsbn(book.isbn, req.params.id);
+      if (existing) errors.push(exports.duplicate_isbn_error(existing));
+    }
 
-      // Get all authors and genres for form
-      const [allAuthors, allGenres] = await Promise.all([
-        Author.find().exec(),
-        Genre.find().exec(),
-      ]);
-
-      // Mark our selected genres as checked.
-      for (const genre of allGenres) {
-        if (book.genre.includes(genre._id)) {
-          genre.checked = "true";
-        }
-      }
-      ejs.renderFile('views/book-form.ejs', {
-        title: "Update Book",
-        authors: allAuthors,
-        genres: allGenres,
+    if (errors.length > 0) {
+      // There are errors. Render form again with sanitized values/error messages.
+      await renderBookForm(res, "Update Book", {
         book,
-        errors: errors.array(),
-      }, function (err, str) {
-        if (err) {
-          console.log(err);
-        } else {
-          res.render("layout", { title: "Create Book", content: str });
-        }
+        contributors: req.body.contributors,
+        removingCover: Boolean(req.body.remove_cover),
+        errors,
+        page: { title: "Create Book" },
       });
     } else {
-      // Data from form is valid. Update the record.
-      const thebook = await Book.findByIdAndUpdate(req.params.id, book, {});
+      // Data from form is valid. Replace or remove the cover as asked. The
+      // old cover's files stay while the book's history can revert to it;
+      // they go when the book is purged.
+      if (req.file) {
+        book.cover = await saveCover(req.file.buffer);
+      } else if (req.body.remove_cover) {
+        book.cover = undefined;
+      }
+      // Update the record, removing any publication details (or cover) that
+      // were cleared.
+      const cleared = [...PUBLICATION_FIELDS, "cover"].filter((field) => book[field] === undefined);
+      const update = { ...book.toObject() };
+      if (cleared.length > 0) {
+        update.$unset = Object.fromEntries(cleared.map((field) => [field, 1]));
+      }
+      const thebook = await Book.findByIdAndUpdate(req.params.id, update, { new: true }).exec();
+      if (thebook === null) {
+        // Deleted while the form was open.
+        const err = new Error("Book not found");
+        err.status = 404;
+        return next(err);
+      }
+      publish("book.updated", thebook);
       // Redirect to book detail page.
       res.redirect(thebook.url);
     }
   }),
 ];
-
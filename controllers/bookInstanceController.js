@@ -1,27 +1,98 @@
-const ejs = require('ejs')
-const Book = require("../models/book");
-const BookInstance = require("../models/bookinstance");
+const { DateTime } = require("luxon");
+const { Book, BookInstance, Patron, Loan, Hold, Fine } = require("../repositories");
+const { isStaff } = require("../middleware/auth");
+const { paginate, pager } = require("../middleware/paginate");
+const { sendCsv } = require("../helpers/csv");
+const { publish } = require("../helpers/events");
 const asyncHandler = require("express-async-handler");
-const { body, validationResult } = require("express-validator");
+const { body, query, matchedData, validationResult } = require("express-validator");
 
+// Default length of a loan, used when the checkout form leaves it blank.
+const LOAN_PERIOD_DAYS = 21;
 
-// Display list of all BookInstances.
-exports.bookinstance_list = asyncHandler(async (req, res, next) => {
-  const allBookInstances = await BookInstance.find().populate("book").exec();
-  ejs.renderFile('views/bookinstance-list.ejs', { title: 'Book Instance List', bookinstance_list: allBookInstances }, function (err, str) {
-    if (err) {
-      console.log(err);
-    } else {
-      res.render("layout", { title: "Book Instances", content: str });
+// Announce that a copy's status changed from `from` to the one it has now
+// (nothing is announced if it stayed the same).
+exports.publish_status_change = (bookInstance, from) => {
+  if (from !== bookInstance.status) {
+    publish("bookinstance.status_changed", { book_instance: bookInstance, from, to: bookInstance.status });
+  }
+};
+
+
+// Display list of all BookInstances, a page at a time.
+exports.bookinstance_list = [
+  paginate({
+    sorts: {
+      due_back: { label: "Due back (soonest first)", sort: { due_back: 1 } },
+      "-due_back": { label: "Due back (latest first)", sort: { due_back: -1 } },
+      status: { label: "Status", sort: { status: 1, due_back: 1 } },
+      imprint: { label: "Imprint", sort: { imprint: 1 } },
+    },
+    defaultSort: "due_back",
+  }),
+  query("status", "Unknown status")
+    .optional({ values: "falsy" })
+    .isIn(BookInstance.schema.path("status").enumValues),
+  query("book", "Unknown book").optional({ values: "falsy" }).isMongoId(),
+
+  asyncHandler(async (req, res, next) => {
+    // Only filters that passed validation are applied.
+    const filters = matchedData(req, { locations: ["query"], onlyValidData: true });
+    const filter = {};
+    if (filters.status) filter.status = filters.status;
+    if (filters.book) filter.book = filters.book;
+
+    const { sort, skip, limit } = req.pagination;
+
+    if (req.query.format === "csv") {
+      // Export every matching copy, in the same columns the importer reads.
+      const matchingInstances = await BookInstance.find(filter)
+        .sort(sort)
+        .populate("book")
+        .exec();
+      return sendCsv(res, "bookinstances.csv",
+        ["book", "isbn", "imprint", "status", "due_back"],
+        matchingInstances.map((bookInstance) => ({
+          book: bookInstance.book ? bookInstance.book.title : "",
+          isbn: bookInstance.book ? bookInstance.book.isbn_formatted : "",
+          imprint: bookInstance.imprint,
+          status: bookInstance.status,
+          due_back: bookInstance.due_back,
+        })));
     }
-  });
-});
+
+    const [allBookInstances, total] = await Promise.all([
+      BookInstance.find(filter)
+        .sort(sort)
+        .skip(skip)
+        .limit(limit)
+        .populate("book")
+        .exec(),
+      BookInstance.countDocuments(filter).exec(),
+    ]);
+    res.renderPage("bookinstance-list", {
+      title: "Book Instance List",
+      bookinstance_list: allBookInstances,
+      statuses: BookInstance.schema.path("status").enumValues,
+      filters,
+      pager: pager(req, total),
+      errors: validationResult(req).array(),
+    }, { title: "Book Instances" });
+  }),
+];
 
 // Display detail page for a specific BookInstance.
 exports.bookinstance_detail = asyncHandler(async (req, res, next) => {
-  const bookInstance = await BookInstance.findById(req.params.id)
-    .populate("book")
-    .exec();
+  const [bookInstance, loans] = await Promise.all([
+    BookInstance.findById(req.params.id)
+      .populate("book")
+      .populate("patron")
+      .exec(),
+    Loan.find({ book_instance: req.params.id })
+      .sort({ checked_out: -1 })
+      .populate("patron")
+      .exec(),
+  ]);
 
   if (bookInstance === null) {
     // No results.
@@ -29,46 +100,70 @@ exports.bookinstance_detail = asyncHandler(async (req, res, next) => {
     err.status = 404;
     return next(err);
   }
-  ejs.renderFile('views/bookinstance-detail.ejs', {
+  res.renderPage("bookinstance-detail", {
     bookinstance: bookInstance,
-  }, function (err, str) {
-    if (err) {
-      console.log(err);
-    } else {
-      res.render("layout", { title: "Book Status", content: str });
-    }
-  });
+    loans,
+    is_staff: isStaff(req),
+  }, { title: "Book Status" });
 });
 
+// Validate and sanitize the BookInstance fields (shared by create, update and the JSON API).
+exports.bookinstance_validators = [
+  body("book", "Book must be specified").trim().isLength({ min: 1 }).escape(),
+  body("imprint", "Imprint must be specified")
+    .trim()
+    .isLength({ min: 1 })
+    .escape(),
+  // Loaned and Reserved (e.g. in an exported CSV) are refused with how to get there.
+  body("status", (value) => ({
+    Loaned: "A copy is Loaned only by being checked out: set it to Available, then check it out.",
+    Reserved: "A copy is Reserved only by a hold: set it to Available and the first hold gets it.",
+  }[value] || "Status must be Available or Maintenance."))
+    .optional({ values: "falsy" })
+    .isIn(BookInstance.EDITABLE_STATUSES),
+  body("due_back", "Invalid date")
+    .optional({ values: "falsy" })
+    .isISO8601()
+    .toDate(),
+];
+
+// The status an edit of `current` (a copy, or null for a new one) leaves it
+// in, as { status } or { error }. A Loaned or Reserved copy keeps its status
+// (and due date); anything else takes the `requested` one, or keeps its own
+// when none is given.
+exports.edited_status = (current, requested) => {
+  if (current && current.in_circulation) {
+    return requested
+      ? { error: `This copy is ${current.status}: return it or end its hold to change its status.` }
+      : { status: current.status, due_back: current.due_back };
+  }
+  return { status: requested || (current ? current.status : "Maintenance") };
+};
+
+// Put a copy that has just become Available aside for the first patron
+// waiting for its book, announcing the change if it was.
+exports.offer_to_holds = async (bookInstance) => {
+  if (bookInstance.status !== "Available") return;
+  const hold = await Hold.assignCopy(bookInstance);
+  if (hold !== null) {
+    exports.publish_status_change(await BookInstance.findById(bookInstance._id).exec(), "Available");
+  }
+};
+
 // Display BookInstance create form on GET.
 exports.bookinstance_create_get = asyncHandler(async (req, res, next) => {
   const allBooks = await Book.find({}, "title").exec();
-  ejs.renderFile('views/bookinstance-form.ejs', {
+  res.renderPage("bookinstance-form", {
     title: "Create BookInstance",
     book_list: allBooks,
     errors: null
-  }, function (err, str) {
-    if (err) {
-      console.log(err);
-    } else {
-      res.render("layout", { title: "Create BookInstance", content: str });
-    }
   });
 });
 
 // Handle BookInstance create on POST.
 exports.bookinstance_create_post = [
   // Validate and sanitize fields.
-  body("book", "Book must be specified").trim().isLength({ min: 1 }).escape(),
-  body("imprint", "Imprint must be specified")
-    .trim()
-    .isLength({ min: 1 })
-    .escape(),
-  body("status").escape(),
-  body("due_back", "Invalid date")
-    .optional({ values: "falsy" })
-    .isISO8601()
-    .toDate(),
+  ...exports.bookinstance_validators,
 
   // Process request after validation and sanitization.
   asyncHandler(async (req, res, next) => {
@@ -87,22 +182,18 @@ exports.bookinstance_create_post = [
       // There are errors.
       // Render form again with sanitized values and error messages.
       const allBooks = await Book.find({}, "title").exec();
-      ejs.renderFile('views/bookinstance-form.ejs', {
+      res.renderPage("bookinstance-form", {
         title: "Create BookInstance",
         book_list: allBooks,
         selected_book: bookInstance.book._id,
         errors: errors.array(),
         bookinstance: bookInstance,
-      }, function (err, str) {
-        if (err) {
-          console.log(err);
-        } else {
-          res.render("layout", { title: "Create BookInstance", content: str });
-        }
       });
     } else {
       // Data from form is valid
       await bookInstance.save();
+      publish("bookinstance.created", bookInstance);
+      await exports.offer_to_holds(bookInstance);
       res.redirect(bookInstance.url);
     }
   }),
@@ -118,22 +209,26 @@ exports.bookinstance_delete_get = asyncHandler(async (req, res, next) => {
     // No results.
     res.redirect("/catalog/bookinstances");
   }
-  ejs.renderFile('views/bookinstance-delete.ejs', {
+  res.renderPage("bookinstance-delete", {
     title: "Delete BookInstance",
     bookinstance: bookInstance,
-  }, function (err, str) {
-    if (err) {
-      console.log(err);
-    } else {
-      res.render("layout", { title: "Create BookInstance", content: str });
-    }
-  });
+  }, { title: "Create BookInstance" });
 });
 
-// Handle BookInstance delete on POST.
+// Handle BookInstance delete on POST. A Loaned or Reserved copy stays, so its
+// loan can still be returned and its hold collected.
 exports.bookinstance_delete_post = asyncHandler(async (req, res, next) => {
   // Assume valid `BookInstance_id` in field.
-  await BookInstance.findByIdAndRemove(req.body.id);
+  const bookInstance = await BookInstance.findById(req.body.id).populate("book").exec();
+  if (bookInstance !== null && bookInstance.in_circulation) {
+    // Render in same way as for GET route.
+    return res.status(409).renderPage("bookinstance-delete", {
+      title: "Delete BookInstance",
+      bookinstance: bookInstance,
+    }, { title: "Create BookInstance" });
+  }
+  const trashed = await BookInstance.trash(req.body.id);
+  if (trashed) publish("bookinstance.deleted", trashed);
   res.redirect("/catalog/bookinstances");
 });
 
@@ -151,71 +246,255 @@ exports.bookinstance_update_get = asyncHandler(async (req, res, next) => {
     err.status = 404;
     return next(err);
   }
-  ejs.renderFile('views/bookinstance-form.ejs', {
+  res.renderPage("bookinstance-form", {
     title: "Update BookInstance",
     book_list: allBooks,
     selected_book: bookInstance.book._id,
     bookinstance: bookInstance,
-  }, function (err, str) {
-    if (err) {
-      console.log(err);
-    } else {
-      res.render("layout", { title: "Update BookInstance", content: str });
-    }
+    errors: null,
   });
 });
 
 // Handle bookinstance update on POST.
 exports.bookinstance_update_post = [
   // Validate and sanitize fields.
-  body("book", "Book must be specified").trim().isLength({ min: 1 }).escape(),
-  body("imprint", "Imprint must be specified")
-    .trim()
-    .isLength({ min: 1 })
-    .escape(),
-  body("status").escape(),
-  body("due_back", "Invalid date")
-    .optional({ values: "falsy" })
-    .isISO8601()
-    .toDate(),
+  ...exports.bookinstance_validators,
 
   // Process request after validation and sanitization.
   asyncHandler(async (req, res, next) => {
     // Extract the validation errors from a request.
-    const errors = validationResult(req);
+    const errors = validationResult(req).array();
+
+    const current = await BookInstance.findById(req.params.id).exec();
+    if (current === null) {
+      const err = new Error("Book copy not found");
+      err.status = 404;
+      return next(err);
+    }
+    const { error, status, due_back } = exports.edited_status(current, req.body.status);
+    if (error) errors.push({ msg: error });
 
     // Create a BookInstance object with escaped/trimmed data and current id.
     const bookInstance = new BookInstance({
       book: req.body.book,
       imprint: req.body.imprint,
-      status: req.body.status,
-      due_back: req.body.due_back,
+      status: status || current.status,
+      due_back: due_back || req.body.due_back,
       _id: req.params.id,
     });
 
-    if (!errors.isEmpty()) {
+    if (errors.length > 0) {
       // There are errors.
       // Render the form again, passing sanitized values and errors.
 
       const allBooks = await Book.find({}, "title").exec();
-      ejs.renderFile('views/bookinstance-form.ejs', {
+      res.renderPage("bookinstance-form", {
         title: "Update BookInstance",
         book_list: allBooks,
         selected_book: bookInstance.book._id,
-        errors: errors.array(),
+        errors,
         bookinstance: bookInstance,
-      }, function (err, str) {
-        if (err) {
-          console.log(err);
-        } else {
-          res.render("layout", { title: "Update BookInstance", content: str });
-        }
       });
     } else {
       // Data from form is valid.
-      await BookInstance.findByIdAndUpdate(req.params.id, bookInstance, {});
+      const updated = await BookInstance.findByIdAndUpdate(req.params.id, bookInstance, { new: true }).exec();
+      if (updated === null) {
+        // Deleted while the form was open.
+        const err = new Error("Book copy not found");
+        err.status = 404;
+        return next(err);
+      }
+      publish("bookinstance.updated", updated);
+      exports.publish_status_change(updated, current.status);
+      if (current.status !== "Available") await exports.offer_to_holds(updated);
       // Redirect to detail page.
-      res.redirect(bookInstance.url);
+      res.redirect(updated.url);
+    }
+  }),
+];
+
+// Display BookInstance checkout form on GET.
+exports.bookinstance_checkout_get = asyncHandler(async (req, res, next) => {
+  const [bookInstance, allPatrons, readyHold] = await Promise.all([
+    BookInstance.findById(req.params.id).populate("book").exec(),
+    Patron.find().sort({ family_name: 1 }).exec(),
+    Hold.findOne({ book_instance: req.params.id, status: "Ready" })
+      .populate("patron")
+      .exec(),
+  ]);
+
+  if (bookInstance === null) {
+    // No results.
+    const err = new Error("Book copy not found");
+    err.status = 404;
+    return next(err);
+  }
+  const canCheckOut = bookInstance.status === "Available"
+    || (bookInstance.status === "Reserved" && readyHold !== null);
+  res.renderPage("bookinstance-checkout", {
+    title: "Check Out Copy",
+    bookinstance: bookInstance,
+    patron_list: allPatrons,
+    ready_hold: readyHold,
+    selected_patron: readyHold ? readyHold.patron._id.toString() : undefined,
+    loan_days: LOAN_PERIOD_DAYS,
+    errors: canCheckOut
+      ? null
+      : [{ msg: `This copy is ${bookInstance.status} and cannot be checked out.` }],
+  });
+});
+
+// Handle BookInstance checkout on POST.
+exports.bookinstance_checkout_post = [
+  // Validate and sanitize fields.
+  body("patron", "Patron must be specified").trim().isMongoId(),
+  body("loan_days", "Loan period must be between 1 and 365 days")
+    .optional({ values: "falsy" })
+    .isInt({ min: 1, max: 365 })
+    .toInt(),
+
+  // Process request after validation and sanitization.
+  asyncHandler(async (req, res, next) => {
+    // Extract the validation errors from a request.
+    const errors = validationResult(req).array();
+    const loanDays = req.body.loan_days || LOAN_PERIOD_DAYS;
+
+    let patron = null;
+    if (errors.length === 0) {
+      patron = await Patron.findById(req.body.patron).exec();
+      if (patron === null) {
+        errors.push({ msg: "Patron not found" });
+      }
+    }
+
+    let readyHold = null;
+    if (errors.length === 0) {
+      // A Reserved copy may only go to the patron whose hold it is waiting for.
+      readyHold = await Hold.findOne({
+        book_instance: req.params.id,
+        status: "Ready",
+      }).exec();
+      const forHolder = readyHold !== null && readyHold.patron.equals(patron._id);
+
+      // Checking the status in the update itself stops two librarians
+      // loaning the same copy at once.
+      const due_back = DateTime.now()
+        .plus({ days: loanDays })
+        .endOf("day")
+        .toJSDate();
+      const bookInstance = await BookInstance.findOneAndUpdate(
+        { _id: req.params.id, status: forHolder ? "Reserved" : "Available" },
+        { status: "Loaned", due_back, patron: patron._id },
+        { new: true },
+      ).exec();
+
+      if (bookInstance !== null) {
+        const loan = await Loan.create({
+          book_instance: bookInstance._id,
+          patron: patron._id,
+          due_back,
+        });
+        if (forHolder) {
+          readyHold.status = "Fulfilled";
+          await readyHold.save();
+        }
+        publish("loan.created", loan);
+        exports.publish_status_change(bookInstance, forHolder ? "Reserved" : "Available");
+        return res.redirect(bookInstance.url);
+      }
     }
+
+    // There are errors, or the copy was not Available. Render form again.
+    const [currentInstance, allPatrons] = await Promise.all([
+      BookInstance.findById(req.params.id).populate("book").exec(),
+      Patron.find().sort({ family_name: 1 }).exec(),
+    ]);
+    if (currentInstance === null) {
+      const err = new Error("Book copy not found");
+      err.status = 404;
+      return next(err);
+    }
+    if (errors.length === 0) {
+      errors.push({
+        msg: currentInstance.status === "Reserved"
+          ? "This copy is reserved for another patron."
+          : `This copy is ${currentInstance.status} and cannot be checked out.`,
+      });
+    }
+    res.renderPage("bookinstance-checkout", {
+      title: "Check Out Copy",
+      bookinstance: currentInstance,
+      patron_list: allPatrons,
+      ready_hold: null,
+      selected_patron: req.body.patron,
+      loan_days: loanDays,
+      errors,
+    });
   }),
 ];
+
+// Display BookInstance return form on GET.
+exports.bookinstance_return_get = asyncHandler(async (req, res, next) => {
+  const bookInstance = await BookInstance.findById(req.params.id)
+    .populate("book")
+    .populate("patron")
+    .exec();
+
+  if (bookInstance === null) {
+    // No results.
+    const err = new Error("Book copy not found");
+    err.status = 404;
+    return next(err);
+  }
+  res.renderPage("bookinstance-return", {
+    title: "Return Copy",
+    bookinstance: bookInstance,
+    errors: bookInstance.status === "Loaned"
+      ? null
+      : [{ msg: "This copy is not on loan." }],
+  });
+});
+
+// Handle BookInstance return on POST.
+exports.bookinstance_return_post = asyncHandler(async (req, res, next) => {
+  const now = new Date();
+  const bookInstance = await BookInstance.findOneAndUpdate(
+    { _id: req.params.id, status: "Loaned" },
+    { status: "Available", due_back: now, $unset: { patron: 1 } },
+    { new: true },
+  ).exec();
+
+  if (bookInstance === null) {
+    // Not on loan (or no such copy). Show the return page with its error.
+    return exports.bookinstance_return_get(req, res, next);
+  }
+
+  // Close the open loan for this copy, charging the borrower if it came back late.
+  const loan = await Loan.findOneAndUpdate(
+    { book_instance: bookInstance._id, returned: null },
+    { returned: now },
+    { new: true },
+  ).exec();
+  if (loan !== null) {
+    const daysOverdue = Fine.daysOverdue(loan.due_back, now);
+    const amount = Fine.amountFor(daysOverdue);
+    if (amount > 0) {
+      await Fine.create({
+        patron: loan.patron,
+        loan: loan._id,
+        type: "Accrued",
+        amount,
+        date: now,
+        note: `Returned ${daysOverdue} day(s) late`,
+      });
+    }
+  }
+  if (loan !== null) publish("loan.returned", loan);
+  exports.publish_status_change(bookInstance, "Loaned");
+  // Set the copy aside for the first patron waiting for this book, if any.
+  const hold = await Hold.assignCopy(bookInstance);
+  if (hold !== null) {
+    exports.publish_status_change(await BookInstance.findById(bookInstance._id).exec(), "Available");
+  }
+  res.redirect(bookInstance.url);
+});
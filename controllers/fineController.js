@@ -0,0 +1,109 @@
+const { BookInstance, Patron, Fine } = require("../repositories");
+
+const { body, validationResult } = require("express-validator");
+const asyncHandler = require("express-async-handler");
+
+// Display every copy that is still on loan after its due date.
+exports.overdue_report = asyncHandler(async (_req, res, _next) => {
+  const overdueInstances = await BookInstance.find({
+    status: "Loaned",
+    due_back: { $lt: new Date() },
+  })
+    .sort({ due_back: 1 })
+    .populate("book")
+    .populate("patron")
+    .exec();
+
+  res.renderPage("overdue-report", {
+    title: "Overdue Copies",
+    overdue_list: overdueInstances,
+    policy: Fine.policy,
+    formatCents: Fine.formatCents,
+  });
+});
+
+// Render a patron's fines ledger, with any errors from a payment or waiver.
+async function renderLedger(res, next, patronId, errors) {
+  const [patron, entries] = await Promise.all([
+    Patron.findById(patronId).exec(),
+    Fine.find({ patron: patronId }).sort({ date: 1 }).exec(),
+  ]);
+
+  if (patron === null) {
+    // No results.
+    const err = new Error("Patron not found");
+    err.status = 404;
+    return next(err);
+  }
+
+  // Running balance after each entry, oldest first.
+  let balance = 0;
+  const ledger = entries.map((entry) => {
+    balance += entry.type === "Accrued" ? entry.amount : -entry.amount;
+    return { entry, balance };
+  });
+
+  res.renderPage("patron-fines", {
+    title: "Fines",
+    patron,
+    ledger,
+    balance,
+    formatCents: Fine.formatCents,
+    errors,
+  });
+}
+
+// Display fines ledger for a specific Patron.
+exports.patron_fines = asyncHandler(async (req, res, next) => {
+  await renderLedger(res, next, req.params.id, null);
+});
+
+// Record a payment or waiver against a patron's balance.
+function settle(type) {
+  return [
+    // Validate and sanitize fields.
+    body("amount", "Amount must be a positive number")
+      .trim()
+      .isFloat({ min: 0.01 })
+      .toFloat(),
+    body("note")
+      .trim()
+      .escape()
+      .custom((value) => type !== "Waived" || value.length > 0)
+      .withMessage("A reason must be given for waiving a fine."),
+
+    // Process request after validation and sanitization.
+    asyncHandler(async (req, res, next) => {
+      // Extract the validation errors from a request.
+      const errors = validationResult(req).array();
+      const amount = Math.round(req.body.amount * 100);
+
+      if (errors.length === 0) {
+        const balance = await Fine.balanceFor(req.params.id);
+        if (amount > balance) {
+          errors.push({
+            msg: `Amount is more than the outstanding balance of ${Fine.formatCents(balance)}.`,
+          });
+        }
+      }
+
+      if (errors.length > 0) {
+        return renderLedger(res, next, req.params.id, errors);
+      }
+
+      await Fine.create({
+        patron: req.params.id,
+        type,
+        amount,
+        note: req.body.note,
+      });
+      res.redirect("/catalog/patron/" + req.params.id + "/fines");
+    }),
+  ];
+}
+
+// Handle fine payment on POST.
+exports.fine_pay_post = settle("Paid");
+
+// Handle fine waiver on POST.
+exports.fine_waive_post = settle("Waived");
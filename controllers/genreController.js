@@ -1,88 +1,141 @@
-const ejs = require('ejs')
-const Genre = require("../models/genre");
-const Book = require("../models/book");
+const { Genre, Book, Merge } = require("../repositories");
+const { isStaff } = require("../middleware/auth");
+const { paginate, pager } = require("../middleware/paginate");
+const { sendCsv } = require("../helpers/csv");
+const { publish } = require("../helpers/events");
 const asyncHandler = require("express-async-handler");
 const { body, validationResult } = require("express-validator");
 
-// Display list of all Genre.
-exports.genre_list = asyncHandler(async (_req, res, _next) => {
-  const allGenres = await Genre.find().sort({ name: 1 }).exec();
-  ejs.renderFile('views/genre-list.ejs', { title: 'Genre List', list_genres: allGenres, }, function (err, str) {
-    if (err) {
-      console.log(err);
-    } else {
-      res.render("layout", { title: "Genres", content: str });
+// Display all Genres as a tree, a page of top-level genres at a time.
+exports.genre_list = [
+  paginate({
+    sorts: {
+      name: { label: "Name (A–Z)", sort: { name: 1 } },
+      "-name": { label: "Name (Z–A)", sort: { name: -1 } },
+    },
+    defaultSort: "name",
+  }),
+
+  asyncHandler(async (req, res, _next) => {
+    const { sort, skip, limit } = req.pagination;
+
+    if (req.query.format === "csv") {
+      // Export every genre, in the same columns the importer reads.
+      const matchingGenres = await Genre.find().sort(sort).exec();
+      return sendCsv(res, "genres.csv", ["name"], matchingGenres);
     }
-  });
-});
+
+    const topLevel = await Genre.topLevelFilter();
+    const [roots, total] = await Promise.all([
+      Genre.find(topLevel).sort(sort).skip(skip).limit(limit).exec(),
+      Genre.countDocuments(topLevel).exec(),
+    ]);
+    res.renderPage("genre-list", {
+      title: "Genre List",
+      genre_tree: await Genre.tree(sort, roots),
+      pager: pager(req, total),
+    }, { title: "Genres" });
+  }),
+];
 
 // Display detail page for a specific Genre.
 exports.genre_detail = asyncHandler(async (req, res, next) => {
-  // Get details of genre and all associated books (in parallel)
-  const [genre, booksInGenre] = await Promise.all([
-    Genre.findById(req.params.id).exec(),
-    Book.find({ genre: req.params.id }, "title summary").exec(),
-  ]);
+  const genre = await Genre.findById(req.params.id).exec();
   if (genre === null) {
+    // A genre merged into another lives on as that one.
+    const survivor = await Merge.survivorOf("Genre", req.params.id);
+    if (survivor) {
+      return res.redirect(Genre.hydrate({ _id: survivor }).url);
+    }
     // No results.
     const err = new Error("Genre not found");
     err.status = 404;
     return next(err);
   }
-  ejs.renderFile('views/genre-detail.ejs', {
-    title: 'Genre Detail', genre,
+
+  // Get its place in the tree, and the books in it or any genre below it (in parallel)
+  const descendantIds = await Genre.descendantIdsOf(genre._id);
+  const [ancestors, subgenres, booksInGenre] = await Promise.all([
+    Genre.ancestorsOf(genre),
+    Genre.find({ parent: genre._id }).sort({ name: 1 }).exec(),
+    Book.find({ genre: { $in: descendantIds } }, "title summary genre")
+      .sort({ title: 1 })
+      .populate("genre")
+      .exec(),
+  ]);
+  res.renderPage("genre-detail", {
+    title: "Genre Detail", genre,
+    ancestors,
+    subgenres,
     genre_books: booksInGenre,
-  }, function (err, str) {
-    if (err) {
-      console.log(err);
-    } else {
-      res.render("layout", { title: "Genre Detail", content: str });
-    }
+    // Books filed under a subgenre are labelled with it.
+    genre_ids: descendantIds.map(String),
+    is_staff: isStaff(req),
   });
 });
 
+// Validate and sanitize the Genre fields (shared by create, update and the JSON API).
+exports.genre_validators = [
+  body("name", "Genre name must contain at least 3 characters")
+    .trim()
+    .isLength({ min: 3 })
+    .escape(),
+  body("parent", "Invalid parent genre")
+    .optional({ values: "falsy" })
+    .isMongoId(),
+];
+
+// Errors for filing genre `id` (null for a new genre) under `parentId`: the
+// parent must exist, and must not be the genre itself or one below it.
+exports.genre_parent_errors = async (id, parentId) => {
+  if (!parentId) return [];
+  if ((await Genre.findById(parentId).exec()) === null) {
+    return [{ msg: "Parent genre not found." }];
+  }
+  if (await Genre.createsCycle(id, parentId)) {
+    return [{ msg: "A genre cannot be filed under itself or one of its subgenres." }];
+  }
+  return [];
+};
+
+// Every genre, indented by depth, for the parent select.
+async function parentOptions() {
+  return Genre.flattenTree(await Genre.tree());
+}
+
 // Display Genre create form on GET.
-exports.genre_create_get = async (_req, res, _next) => {
-  ejs.renderFile('views/genre-form.ejs', {
+exports.genre_create_get = asyncHandler(async (_req, res, _next) => {
+  res.renderPage("genre-form", {
     title: "Create Genre",
+    parent_options: await parentOptions(),
     errors: null
-  }, function (err, str) {
-    if (err) {
-      console.log(err);
-    } else {
-      res.render("layout", { title: "Create Genre", content: str });
-    }
   });
-};
+});
 
 // Handle Genre create on POST.
 exports.genre_create_post = [
   // Validate and sanitize the name field.
-  body("name", "Genre name must contain at least 3 characters")
-    .trim()
-    .isLength({ min: 3 })
-    .escape(),
+  ...exports.genre_validators,
 
   // Process request AFTER validation and sanitization.
-  asyncHandler(async (_, res, next) => {
+  asyncHandler(async (req, res, _next) => {
     // Extract the validation errors from a request.
-    const errors = validationResult(req);
+    const errors = validationResult(req).array();
 
     // Create a genre object with escaped and trimmed data from the sanitized `body` above.
-    const genre = new Genre({ name: req.body.name });
+    const genre = new Genre({ name: req.body.name, parent: req.body.parent || undefined });
 
-    if (!errors.isEmpty()) {
+    if (errors.length === 0) {
+      errors.push(...(await exports.genre_parent_errors(null, genre.parent)));
+    }
+
+    if (errors.length > 0) {
       // There are errors. Render the form again with sanitized values/error messages.
-      ejs.renderFile('views/genre-form.ejs', {
+      res.renderPage("genre-form", {
         title: "Create Genre",
         genre,
-        errors: errors.array(),
-      }, function (err, str) {
-        if (err) {
-          console.log(err);
-        } else {
-          res.render("layout", { title: "Create Genre", content: str });
-        }
+        parent_options: await parentOptions(),
+        errors,
       });
     } else {
       // Data from form is valid.
@@ -95,61 +148,64 @@ exports.genre_create_post = [
         res.redirect(genreExists.url);
       } else {
         await genre.save();
+        publish("genre.created", genre);
         // New genre saved. Redirect to genre list page.
-        res.redirect('catalog/genres');
+        res.redirect(genre.url);
       }
     }
   }),
 ];
 
-// Display Genre Update form on GET.
+// Display Genre delete form on GET.
 exports.genre_delete_get = asyncHandler(async (req, res, _next) => {
-  // Get details of genre and all associated books (in parallel)
-  const [genre, booksInGenre] = await Promise.all([
+  // Get details of genre, its books and its subgenres (in parallel)
+  const [genre, booksInGenre, subgenres] = await Promise.all([
     Genre.findById(req.params.id).exec(),
     Book.find({ genre: req.params.id }, "title summary").exec(),
+    Genre.find({ parent: req.params.id }).sort({ name: 1 }).exec(),
   ]);
   if (genre === null) {
     // No results.
-    res.redirect("/catalog/genres");
+    return res.redirect("/catalog/genres");
   }
-  ejs.renderFile('views/genre-delete.ejs', {
+  res.renderPage("genre-delete", {
     title: "Delete Genre",
     genre,
     genre_books: booksInGenre,
-  }, function (err, str) {
-    if (err) {
-      console.log(err);
-    } else {
-      res.render("layout", { title: "Delete Genre", content: str });
-    }
+    subgenres,
+    new_parent: genre.parent ? await Genre.findById(genre.parent).exec() : null,
   });
 });
 
 // Handle Genre delete on POST.
 exports.genre_delete_post = asyncHandler(async (req, res, _next) => {
-  // Get details of genre and all associated books (in parallel)
-  const [genre, booksInGenre] = await Promise.all([
+  // Get details of genre, its books and its subgenres (in parallel)
+  const [genre, booksInGenre, subgenres] = await Promise.all([
     Genre.findById(req.params.id).exec(),
     Book.find({ genre: req.params.id }, "title summary").exec(),
+    Genre.find({ parent: req.params.id }).sort({ name: 1 }).exec(),
   ]);
+  if (genre === null) {
+    // No results.
+    return res.redirect("/catalog/genres");
+  }
 
-  if (booksInGenre.length > 0) {
-    // Genre has books. Render in same way as for GET route.
-    ejs.renderFile('views/genre-delete.ejs', {
+  if (booksInGenre.length > 0 || (subgenres.length > 0 && !req.body.reparent)) {
+    // Genre has books, or subgenres nobody has said where to move. Render in
+    // same way as for GET route.
+    res.renderPage("genre-delete", {
       title: "Delete Genre",
       genre,
       genre_books: booksInGenre,
-    }, function (err, str) {
-      if (err) {
-        console.log(err);
-      } else {
-        res.render("layout", { title: "Delete Genre", content: str });
-      }
+      subgenres,
+      new_parent: genre.parent ? await Genre.findById(genre.parent).exec() : null,
     });
   } else {
-    // Genre has no books. Delete object and redirect to the list of genres.
-    await Genre.findByIdAndRemove(req.body.id);
+    // Its subgenres move up a level, into its own parent (or to the top).
+    await Genre.updateMany({ parent: genre._id }, { parent: genre.parent || null }).exec();
+    // Genre has no books. Move it to the trash and redirect to the list of genres.
+    const trashed = await Genre.trash(genre._id);
+    if (trashed) publish("genre.deleted", trashed);
     res.redirect("/catalog/genres");
   }
 });
@@ -164,53 +220,51 @@ exports.genre_update_get = asyncHandler(async (req, res, next) => {
     err.status = 404;
     return next(err);
   }
-  ejs.renderFile('views/genre-form.ejs', {
+  res.renderPage("genre-form", {
     title: "Update Genre",
     genre,
-  }, function (err, str) {
-    if (err) {
-      console.log(err);
-    } else {
-      res.render("layout", { title: "Update Genre", content: str });
-    }
+    parent_options: await parentOptions(),
+    errors: null,
   });
 });
 
 // Handle Genre update on POST.
 exports.genre_update_post = [
   // Validate and sanitize the name field.
-  body("name", "Genre name must contain at least 3 characters")
-    .trim()
-    .isLength({ min: 3 })
-    .escape(),
+  ...exports.genre_validators,
 
   // Process request after validation and sanitization.
   asyncHandler(async (req, res, _next) => {
     // Extract the validation errors from a request .
-    const errors = validationResult(req);
+    const errors = validationResult(req).array();
 
     // Create a genre object with escaped and trimmed data (and the old id!)
     const genre = new Genre({
       name: req.body.name,
+      parent: req.body.parent || undefined,
       _id: req.params.id,
     });
 
-    if (!errors.isEmpty()) {
+    if (errors.length === 0) {
+      errors.push(...(await exports.genre_parent_errors(genre._id, genre.parent)));
+    }
+
+    if (errors.length > 0) {
       // There are errors. Render the form again with sanitized values and error messages.
-      ejs.renderFile('views/genre-form.ejs', {
+      res.renderPage("genre-form", {
         title: "Update Genre",
         genre,
-        errors: errors.array(),
-      }, function (err, str) {
-        if (err) {
-          console.log(err);
-        } else {
-          res.render("layout", { title: "Update Genre", content: str });
-        }
+        parent_options: await parentOptions(),
+        errors,
       });
     } else {
-      // Data from form is valid. Update the record.
-      await Genre.findByIdAndUpdate(req.params.id, genre);
+      // Data from form is valid. Update the record (a cleared parent makes it top-level).
+      const updated = await Genre.findByIdAndUpdate(
+        req.params.id,
+        { name: genre.name, parent: genre.parent || null },
+        { new: true },
+      );
+      if (updated) publish("genre.updated", updated);
       res.redirect(genre.url);
     }
   }),
@@ -0,0 +1,197 @@
+const { Book, Author, Genre, BookInstance, AuditEntry } = require("../repositories");
+const { withAuditContext } = require("../helpers/auditContext");
+const { coverExists } = require("../helpers/covers");
+const { publish } = require("../helpers/events");
+const { DateTime } = require("luxon");
+
+const asyncHandler = require("express-async-handler");
+
+// The audited models, with how to name one of their records on the page and,
+// for some, how to adjust a snapshot before reverting to it.
+const TARGETS = {
+  Book: {
+    model: Book,
+    name: (record) => record.title,
+    // A cover whose files were purged with an earlier copy of the book
+    // (see models/book.js) is left out rather than linked to.
+    revertable: async (snapshot) => {
+      if (!snapshot.cover || (await coverExists(snapshot.cover))) return snapshot;
+      const { cover: _cover, ...withoutCover } = snapshot;
+      return withoutCover;
+    },
+  },
+  Author: { model: Author, name: (record) => record.name },
+  Genre: { model: Genre, name: (record) => record.name },
+  BookInstance: { model: BookInstance, name: (record) => `Copy ${record._id}` },
+};
+
+// Referenced records are shown by name rather than by id.
+function referenceName(record) {
+  return record.title || record.name || String(record._id);
+}
+
+// Where a field holds references: `ref` is the model referred to, and `key`
+// the field inside each item for a list of subdocuments (e.g. the author of
+// each of Book.contributors), or null when the field holds the ids itself.
+function refOf(model, field) {
+  const schemaType = model.schema.path(field);
+  if (!schemaType) return null;
+  if (schemaType.schema) {
+    const [key, path] = Object.entries(schemaType.schema.paths).find(([, inner]) => inner.options.ref) || [];
+    return key ? { ref: path.options.ref, key } : null;
+  }
+  const ref = schemaType.options.ref || (schemaType.caster && schemaType.caster.options.ref);
+  return ref ? { ref, key: null } : null;
+}
+
+// Turn each change's `from` and `to` into a list of { text, url } for the
+// view, looking referenced records up in one query per model.
+async function describeChanges(model, entries) {
+  const wanted = {};
+  for (const entry of entries) {
+    for (const change of entry.changes) {
+      const target = refOf(model, change.field);
+      if (target) {
+        const ids = [].concat(change.from || [], change.to || [])
+          .map((item) => (target.key ? item[target.key] : item));
+        wanted[target.ref] = (wanted[target.ref] || []).concat(ids);
+      }
+    }
+  }
+  const names = new Map();
+  for (const [ref, ids] of Object.entries(wanted)) {
+    // Trashed records are still named (only trashable models have them).
+    const query = model.db.model(ref).find({ _id: { $in: ids } });
+    const records = await (query.withTrashed ? query.withTrashed() : query).exec();
+    records.forEach((record) => names.set(String(record._id), { text: referenceName(record), url: record.url }));
+  }
+
+  const describe = (value, target) =>
+    [].concat(value === undefined || value === null ? [] : value).map((item) => {
+      if (target && target.key && names.has(String(item[target.key]))) {
+        // e.g. "Tolkien, Christopher (Editor)"
+        const others = Object.entries(item).filter(([key]) => key !== target.key).map(([, other]) => other);
+        const { text, url } = names.get(String(item[target.key]));
+        return { text: others.length > 0 ? `${text} (${others.join(", ")})` : text, url };
+      }
+      if (names.has(String(item))) return names.get(String(item));
+      if (item instanceof Date) return { text: DateTime.fromJSDate(item).toISODate() };
+      return { text: typeof item === "object" ? JSON.stringify(item) : String(item) };
+    });
+
+  return entries.map((entry) => ({
+    entry,
+    changes: entry.changes.map((change) => ({
+      field: change.field,
+      from: describe(change.from, refOf(model, change.field)),
+      to: describe(change.to, refOf(model, change.field)),
+    })),
+  }));
+}
+
+// Render the History tab for one record.
+async function renderHistory(res, modelName, id, errors) {
+  const { model, name } = TARGETS[modelName];
+  const [current, entries] = await Promise.all([
+    model.findById(id).withTrashed().exec(),
+    AuditEntry.historyFor(id),
+  ]);
+  if (entries.length === 0 && current === null) {
+    return false;
+  }
+  // A deleted record is named from its last snapshot.
+  const record = current || model.hydrate({ _id: id, ...entries[0].snapshot });
+
+  res.renderPage("history", {
+    title: "History: " + name(record),
+    record_url: record.url,
+    deleted: current === null,
+    trashed: current !== null && Boolean(current.deleted_at),
+    history: await describeChanges(model, entries),
+    errors,
+  });
+  return true;
+}
+
+// Display the change history of a record.
+function historyFor(modelName) {
+  return asyncHandler(async (req, res, next) => {
+    if (!(await renderHistory(res, modelName, req.params.id, null))) {
+      const err = new Error(`${modelName} not found`);
+      err.status = 404;
+      return next(err);
+    }
+  });
+}
+
+// Handle revert on POST: put the record back as it was in one history entry
+// (recreating it if it has since been purged, or taking it out of the trash
+// if it was not in the trash back then). The revert is itself
+// recorded, pointing at the entry it restored, and announced.
+function revertFor(modelName) {
+  return asyncHandler(async (req, res, next) => {
+    const { model, revertable = async (snapshot) => snapshot } = TARGETS[modelName];
+    const entry = await AuditEntry.findOne({
+      _id: req.params.entry,
+      target: req.params.id,
+      target_model: modelName,
+    }).exec();
+    if (entry === null) {
+      const err = new Error("History entry not found");
+      err.status = 404;
+      return next(err);
+    }
+
+    const current = await model.findById(req.params.id).withTrashed().lean().exec();
+    const snapshot = await revertable(entry.snapshot);
+    try {
+      await withAuditContext({ reverted_to: entry._id }, async () => {
+        if (current === null) {
+          await model.create({ ...snapshot, _id: req.params.id });
+        } else {
+          // Fields the record did not have back then are removed.
+          const $unset = {};
+          Object.keys(current)
+            .filter((field) => !["_id", "__v"].includes(field) && !(field in snapshot))
+            .forEach((field) => ($unset[field] = 1));
+          await model
+            .findByIdAndUpdate(req.params.id, { ...snapshot, $unset }, { runValidators: true })
+            .withTrashed()
+            .exec();
+        }
+      });
+    } catch (err) {
+      // The old version may break rules added since, or clash with another
+      // record (e.g. a duplicate ISBN).
+      if (err.name !== "ValidationError" && err.code !== 11000) throw err;
+      const errors = err.errors
+        ? Object.values(err.errors).map((error) => ({ msg: error.message }))
+        : [{ msg: "That version clashes with another record: " + JSON.stringify(err.keyValue) }];
+      return renderHistory(res.status(409), modelName, req.params.id, errors);
+    }
+    // Announce the change: the record is back, changed, or (reverted to a
+    // version in the trash) deleted.
+    const reverted = await model.findById(req.params.id).withTrashed().exec();
+    const type = modelName.toLowerCase();
+    if (current === null) {
+      publish(`${type}.created`, reverted);
+    } else if (reverted.deleted_at && !current.deleted_at) {
+      publish(`${type}.deleted`, reverted);
+    } else {
+      publish(`${type}.updated`, reverted);
+    }
+    if (modelName === "BookInstance" && current !== null && current.status !== reverted.status) {
+      publish("bookinstance.status_changed", { book_instance: reverted, from: current.status, to: reverted.status });
+    }
+    res.redirect(model.hydrate({ _id: req.params.id }).url + "/history");
+  });
+}
+
+exports.book_history = historyFor("Book");
+exports.book_revert_post = revertFor("Book");
+exports.author_history = historyFor("Author");
+exports.author_revert_post = revertFor("Author");
+exports.genre_history = historyFor("Genre");
+exports.genre_revert_post = revertFor("Genre");
+exports.bookinstance_history = historyFor("BookInstance");
+exports.bookinstance_revert_post = revertFor("BookInstance");
@@ -0,0 +1,95 @@
+const { Book, BookInstance, Patron, Hold } = require("../repositories");
+
+const { body, validationResult } = require("express-validator");
+const asyncHandler = require("express-async-handler");
+
+// Render the place-hold form for a book, with any errors.
+async function renderHoldForm(res, next, bookId, selectedPatron, errors) {
+  const [book, allPatrons, availableCopies] = await Promise.all([
+    Book.findById(bookId).populate("contributors.author").exec(),
+    Patron.find().sort({ family_name: 1 }).exec(),
+    BookInstance.countDocuments({ book: bookId, status: "Available" }).exec(),
+  ]);
+
+  if (book === null) {
+    // No results.
+    const err = new Error("Book not found");
+    err.status = 404;
+    return next(err);
+  }
+  res.renderPage("hold-form", {
+    title: "Place Hold",
+    book,
+    patron_list: allPatrons,
+    available_copies: availableCopies,
+    selected_patron: selectedPatron,
+    errors,
+  });
+}
+
+// Display hold form for a Book on GET.
+exports.hold_create_get = asyncHandler(async (req, res, next) => {
+  await renderHoldForm(res, next, req.params.id, undefined, null);
+});
+
+// Handle hold creation for a Book on POST.
+exports.hold_create_post = [
+  // Validate and sanitize fields.
+  body("patron", "Patron must be specified").trim().isMongoId(),
+
+  // Process request after validation and sanitization.
+  asyncHandler(async (req, res, next) => {
+    // Extract the validation errors from a request.
+    const errors = validationResult(req).array();
+
+    if (errors.length === 0) {
+      const [book, patron, availableCopy, existingHold] = await Promise.all([
+        Book.findById(req.params.id).exec(),
+        Patron.findById(req.body.patron).exec(),
+        BookInstance.exists({ book: req.params.id, status: "Available" }).exec(),
+        Hold.exists({
+          book: req.params.id,
+          patron: req.body.patron,
+          status: { $in: ["Waiting", "Ready"] },
+        }).exec(),
+      ]);
+
+      if (book === null) {
+        const err = new Error("Book not found");
+        err.status = 404;
+        return next(err);
+      }
+      if (patron === null) {
+        errors.push({ msg: "Patron not found" });
+      } else if (availableCopy) {
+        errors.push({ msg: "A copy of this book is available. Check it out instead of placing a hold." });
+      } else if (existingHold) {
+        errors.push({ msg: "This patron already has a hold on this book." });
+      }
+    }
+
+    if (errors.length > 0) {
+      // There are errors. Render form again with error messages.
+      return renderHoldForm(res, next, req.params.id, req.body.patron, errors);
+    }
+
+    await Hold.create({ book: req.params.id, patron: req.body.patron });
+    res.redirect("/catalog/book/" + req.params.id);
+  }),
+];
+
+// Handle hold cancellation on POST.
+exports.hold_cancel_post = asyncHandler(async (req, res, next) => {
+  const hold = await Hold.cancel(req.params.id);
+
+  if (hold === null) {
+    // No active hold with this id.
+    const err = new Error("Hold not found");
+    err.status = 404;
+    return next(err);
+  }
+  // Go back to where the cancel button was pressed, defaulting to the book.
+  res.redirect(req.body.next === "patron"
+    ? "/catalog/patron/" + hold.patron
+    : "/catalog/book/" + hold.book);
+});
@@ -0,0 +1,529 @@
+const multer = require("multer");
+const { Book, Author, Genre, BookInstance } = require("../repositories");
+const { book_validators, duplicate_isbn_error, publication_details, publication_fields } = require("./bookController");
+const { author_validators } = require("./authorController");
+const { genre_validators } = require("./genreController");
+const { bookinstance_validators } = require("./bookInstanceController");
+const { parseCsv } = require("../helpers/csv");
+const { parseMarc21, parseMarcXml, recordToBook } = require("../helpers/marc");
+const { normalizeIsbn } = require("../helpers/isbn");
+const { publish } = require("../helpers/events");
+
+const { body, validationResult } = require("express-validator");
+const asyncHandler = require("express-async-handler");
+
+// Largest file (and confirmation payload) accepted, and most rows per import.
+const MAX_FILE_BYTES = 5 * 1024 * 1024;
+const MAX_ROWS = 5000;
+
+// Uploads are parsed in memory; the file is never written to disk. A MARC
+// file comes back for confirmation base64-encoded, a third larger.
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_BYTES, fieldSize: Math.ceil(MAX_FILE_BYTES * 4 / 3) + 4, files: 1 },
+});
+
+// Parse an upload form, with the file as `req.file`. A file that is too large
+// becomes `req.fileError` for the form to show rather than an error page; the
+// file is the form's last field, so the others have been read by then.
+function uploadFile(req, res, next) {
+  upload.single("file")(req, res, (err) => {
+    if (err instanceof multer.MulterError && err.code === "LIMIT_FILE_SIZE") {
+      req.fileError = `The file is larger than ${MAX_FILE_BYTES / 1024 / 1024} MB.`;
+      return next();
+    }
+    next(err);
+  });
+}
+
+// Find an author from a CSV name, either "Family, First" or "First Family".
+function findAuthorByName(name) {
+  let first_name;
+  let family_name;
+  if (name.includes(",")) {
+    [family_name, first_name] = name.split(",").map((part) => part.trim());
+  } else {
+    const parts = name.split(/\s+/);
+    family_name = parts.pop();
+    first_name = parts.join(" ");
+  }
+  return Author.findOne({ first_name, family_name }).exec();
+}
+
+// How each kind of record is read from CSV. `prepare` shapes the raw row into
+// a form body for the create validators; `resolve` looks up references by
+// name and returns the fields to save, pushing any problems onto `errors`;
+// `key`, where given, identifies rows that would duplicate each other.
+// `optionalColumns` may be left out of the file.
+const IMPORTERS = {
+  genres: {
+    label: "Genres",
+    columns: ["name"],
+    model: Genre,
+    validators: genre_validators,
+    prepare: (row) => ({ name: row.name }),
+    async resolve(body, errors) {
+      const genreExists = await Genre.findOne({ name: body.name })
+        .collation({ locale: "en", strength: 2 })
+        .exec();
+      if (genreExists) {
+        errors.push({ msg: `Genre "${body.name}" already exists.` });
+      }
+      return { name: body.name };
+    },
+    key: (fields) => fields.name.toLowerCase(),
+  },
+
+  authors: {
+    label: "Authors",
+    columns: ["first_name", "family_name", "date_of_birth", "date_of_death"],
+    model: Author,
+    validators: author_validators,
+    prepare: (row) => ({
+      first_name: row.first_name,
+      family_name: row.family_name,
+      date_of_birth: row.date_of_birth,
+      date_of_death: row.date_of_death,
+    }),
+    async resolve(body, errors) {
+      const authorExists = await Author.exists({
+        first_name: body.first_name,
+        family_name: body.family_name,
+      }).exec();
+      if (authorExists) {
+        errors.push({ msg: `Author "${body.family_name}, ${body.first_name}" already exists.` });
+      }
+      return {
+        first_name: body.first_name,
+        family_name: body.family_name,
+        date_of_birth: body.date_of_birth,
+        date_of_death: body.date_of_death,
+      };
+    },
+    key: (fields) => fields.family_name + ", " + fields.first_name,
+  },
+
+  books: {
+    label: "Books",
+    columns: ["title", "author", "summary", "isbn", "genre"],
+    optionalColumns: publication_fields,
+    model: Book,
+    validators: book_validators,
+    prepare: (row) => ({
+      title: row.title,
+      // Several contributors are separated by semicolons, each with its role
+      // in brackets unless it is Author: "Tolkien, Christopher (Editor)".
+      contributors: (row.author || "").split(";").map((name) => name.trim()).filter(Boolean)
+        .map((credit) => {
+          const [, name, role] = credit.match(/^(.*?)\s*(?:\((\w+)\))?$/);
+          return { author: name, role: role || "Author" };
+        }),
+      summary: row.summary,
+      isbn: row.isbn,
+      // Several genres are separated by semicolons.
+      genre: (row.genre || "").split(";").map((name) => name.trim()).filter(Boolean),
+      ...Object.fromEntries(publication_fields.map((column) => [column, row[column]])),
+    }),
+    async resolve(body, errors) {
+      const existing = body.isbn ? await Book.findByIsbn(body.isbn) : null;
+      if (existing) {
+        errors.push({ msg: duplicate_isbn_error(existing).msg });
+      }
+      const contributors = [];
+      for (const { author: name, role } of body.contributors) {
+        const author = await findAuthorByName(name);
+        if (author === null) {
+          errors.push({ msg: `No author named "${name}".` });
+        } else {
+          contributors.push({ author: author._id, role });
+        }
+      }
+      const genres = [];
+      for (const name of body.genre) {
+        const genre = await Genre.findOne({ name })
+          .collation({ locale: "en", strength: 2 })
+          .exec();
+        if (genre === null) {
+          errors.push({ msg: `No genre named "${name}".` });
+        } else {
+          genres.push(genre._id);
+        }
+      }
+      return {
+        title: body.title,
+        contributors,
+        summary: body.summary,
+        isbn: body.isbn,
+        genre: genres,
+        ...publication_details(body),
+      };
+    },
+    key: (fields) => fields.isbn,
+  },
+
+  bookinstances: {
+    label: "Book copies",
+    columns: ["book", "isbn", "imprint", "status", "due_back"],
+    model: BookInstance,
+    validators: bookinstance_validators,
+    prepare: (row) => ({
+      // The book may be given by title, ISBN or both.
+      book: row.book || row.isbn,
+      isbn: row.isbn,
+      imprint: row.imprint,
+      status: row.status || "Maintenance",
+      due_back: row.due_back,
+    }),
+    async resolve(body, errors) {
+      const isbn = body.isbn ? normalizeIsbn(body.isbn) : null;
+      if (body.isbn && isbn === null) {
+        errors.push({ msg: `"${body.isbn}" is not a valid ISBN.` });
+        return {};
+      }
+      // Books in the trash are not matched (unlike findByIsbn).
+      const book = isbn
+        ? await Book.findOne({ isbn }).exec()
+        : await Book.findOne({ title: body.book }).exec();
+      if (book === null) {
+        errors.push({ msg: `No book with ${body.isbn ? "ISBN " + body.isbn : 'title "' + body.book + '"'}.` });
+      }
+      return {
+        book: book ? book._id : undefined,
+        imprint: body.imprint,
+        status: body.status,
+        due_back: body.due_back || undefined,
+      };
+    },
+  },
+};
+
+// Run a list of express-validator chains and middleware against `body` as if
+// it had been posted to the create form, returning the validation errors.
+async function validateRow(validators, body) {
+  const req = { body };
+  for (const validator of validators) {
+    if (typeof validator.run === "function") {
+      await validator.run(req);
+    } else {
+      await new Promise((resolve, reject) => {
+        validator(req, {}, (err) => (err ? reject(err) : resolve()));
+      });
+    }
+  }
+  return { body: req.body, errors: validationResult(req).array() };
+}
+
+// Parse and check every row of an import without saving anything.
+async function checkImport(importer, text) {
+  const rows = parseCsv(text);
+  if (rows.length > MAX_ROWS) {
+    throw new Error(`The file has ${rows.length} rows; import at most ${MAX_ROWS} at a time.`);
+  }
+  const header = rows.length > 0 ? Object.keys(rows[0]) : [];
+  const missing = importer.columns.filter((column) => !header.includes(column)
+    // Copies may name their book by ISBN alone.
+    && !(column === "book" && header.includes("isbn"))
+    && !(column === "isbn" && header.includes("book")));
+  if (missing.length > 0) {
+    throw new Error("Missing column(s): " + missing.join(", "));
+  }
+
+  const checked = [];
+  const seen = new Map();
+  for (const [index, row] of rows.entries()) {
+    const line = index + 2; // The header is line 1, as in a spreadsheet.
+    const { body, errors } = await validateRow(importer.validators, importer.prepare(row));
+    const fields = await importer.resolve(body, errors);
+    if (importer.key && errors.length === 0) {
+      const key = importer.key(fields);
+      if (seen.has(key)) {
+        errors.push({ msg: `Duplicate of line ${seen.get(key)}.` });
+      } else {
+        seen.set(key, line);
+      }
+    }
+    if (errors.length === 0) {
+      // Schema rules (enums, lengths, ...) the form validators don't cover.
+      const invalid = new importer.model(fields).validateSync();
+      if (invalid) {
+        Object.values(invalid.errors).forEach((e) => errors.push({ msg: e.message }));
+      }
+    }
+    checked.push({ line, row, fields, errors });
+  }
+  return checked;
+}
+
+// Render the import page in one of its states.
+function renderImport(res, locals) {
+  res.renderPage("import", {
+    title: "Import CSV",
+    importers: Object.entries(IMPORTERS).map(([key, { label, columns, optionalColumns = [] }]) =>
+      ({ key, label, columns, optionalColumns })),
+    type: "books",
+    csv: null,
+    rows: null,
+    imported: null,
+    errors: null,
+    ...locals,
+  });
+}
+
+// Display import upload form on GET.
+exports.import_get = (_req, res, _next) => {
+  renderImport(res, {});
+};
+
+// Handle an uploaded file on POST: a dry run that shows each row and its errors.
+exports.import_preview_post = [
+  uploadFile,
+
+  asyncHandler(async (req, res, _next) => {
+    const type = req.body.type;
+    const importer = IMPORTERS[type];
+    if (!importer) {
+      return renderImport(res, { errors: [{ msg: "Choose what the file contains." }] });
+    }
+    if (req.fileError) {
+      return renderImport(res.status(400), { type, errors: [{ msg: req.fileError }] });
+    }
+    if (!req.file || req.file.size === 0) {
+      return renderImport(res, { type, errors: [{ msg: "Choose a CSV file to import." }] });
+    }
+
+    const csv = req.file.buffer.toString("utf8");
+    let rows;
+    try {
+      rows = await checkImport(importer, csv);
+    } catch (err) {
+      return renderImport(res, { type, errors: [{ msg: err.message }] });
+    }
+    renderImport(res, { type, csv, rows });
+  }),
+];
+
+// Handle a confirmed import on POST: check the same file again and save the valid rows.
+exports.import_commit_post = [
+  upload.none(),
+
+  asyncHandler(async (req, res, _next) => {
+    const type = req.body.type;
+    const importer = IMPORTERS[type];
+    if (!importer || !req.body.csv) {
+      return renderImport(res, { errors: [{ msg: "Nothing to import. Upload the file again." }] });
+    }
+
+    let rows;
+    try {
+      rows = await checkImport(importer, req.body.csv);
+    } catch (err) {
+      return renderImport(res, { type, errors: [{ msg: err.message }] });
+    }
+
+    // Rows with errors are skipped; the catalog may have changed since the preview.
+    let imported = 0;
+    for (const row of rows) {
+      if (row.errors.length === 0) {
+        const record = await importer.model.create(row.fields);
+        // Announced as if each was created by hand, e.g. "book.created".
+        publish(`${importer.model.modelName.toLowerCase()}.created`, record);
+        imported += 1;
+      }
+    }
+    renderImport(res, { type, rows, imported });
+  }),
+];
+
+// Parse a MARC file, MARCXML or binary MARC 21 (told apart by the first byte).
+function parseMarc(buffer) {
+  const text = buffer.toString("utf8").replace(/^\uFEFF/, "").trimStart();
+  const records = text.startsWith("<") ? parseMarcXml(text) : parseMarc21(buffer);
+  if (records.length > MAX_ROWS) {
+    throw new Error(`The file has ${records.length} records; import at most ${MAX_ROWS} at a time.`);
+  }
+  return records;
+}
+
+// MARC names carry initials and punctuation ("Le Guin, Ursula K.") that the
+// author form rejects, so authors new to the catalog are only trimmed and
+// escaped like all stored text, then checked against the schema.
+const AUTHOR_NAME_SANITIZERS = [body("first_name").trim().escape(), body("family_name").trim().escape()];
+
+// Split a MARC personal name, "Family, First" (or "First Family"), into
+// the Author fields.
+function splitName(name) {
+  if (name.includes(",")) {
+    const [family_name, ...rest] = name.split(",").map((part) => part.trim());
+    return { first_name: rest.join(" "), family_name };
+  }
+  const parts = name.split(/\s+/);
+  return { family_name: parts.pop(), first_name: parts.join(" ") };
+}
+
+// Check every record of a MARC file without saving anything. Each record's
+// contributors and subjects are matched to existing authors and genres by
+// name; the rest are listed to be created. Fields the catalog has no place
+// for are reported as `unmapped`.
+async function checkMarcImport(buffer) {
+  const checked = [];
+  const seen = new Map();
+  for (const [index, record] of parseMarc(buffer).entries()) {
+    const number = index + 1;
+    const { book, contributors, genres, unmapped } = recordToBook(record);
+    const errors = [];
+
+    const credits = [];
+    for (const { name, role } of contributors) {
+      const { body: names } = await validateRow(AUTHOR_NAME_SANITIZERS, splitName(name));
+      const author = await Author.findOne({ first_name: names.first_name, family_name: names.family_name }).exec();
+      if (author === null) {
+        const invalid = new Author(names).validateSync();
+        if (invalid) {
+          Object.values(invalid.errors).forEach((e) => errors.push({ msg: `Author "${name}": ${e.message}` }));
+        }
+      }
+      credits.push({ name, role, author, names });
+    }
+
+    const subjects = [];
+    for (const name of genres) {
+      const { body: genreFields, errors: genreErrors } = await validateRow(genre_validators, { name });
+      const genre = await Genre.findOne({ name: genreFields.name })
+        .collation({ locale: "en", strength: 2 })
+        .exec();
+      if (genre === null) {
+        genreErrors.forEach((e) => errors.push({ msg: `Genre "${name}": ${e.msg}` }));
+      }
+      subjects.push({ name, genre, fields: genreFields });
+    }
+
+    // The book fields go through the same checks as the book form, with a
+    // stand-in for each author not created yet.
+    const { body: bookFields, errors: bookErrors } = await validateRow(book_validators, {
+      ...book,
+      contributors: credits.map(({ author, role }) => ({ author: author ? String(author._id) : "new", role })),
+    });
+    errors.push(...bookErrors);
+    const fields = {
+      title: bookFields.title,
+      summary: bookFields.summary,
+      isbn: bookFields.isbn,
+      ...publication_details(bookFields),
+    };
+    if (errors.length === 0) {
+      const existing = await Book.findByIsbn(fields.isbn);
+      if (existing) {
+        errors.push({ msg: duplicate_isbn_error(existing).msg });
+      } else if (seen.has(fields.isbn)) {
+        errors.push({ msg: `Duplicate of record ${seen.get(fields.isbn)}.` });
+      } else {
+        seen.set(fields.isbn, number);
+      }
+    }
+    if (errors.length === 0) {
+      // Schema rules (lengths, ranges, ...) the form validators don't cover.
+      const invalid = new Book(fields).validateSync(Object.keys(fields));
+      if (invalid) {
+        Object.values(invalid.errors).forEach((e) => errors.push({ msg: e.message }));
+      }
+    }
+    checked.push({ number, title: book.title || "", isbn: book.isbn || "", credits, subjects, fields, unmapped, errors });
+  }
+  return checked;
+}
+
+// Render the MARC import page in one of its states.
+function renderMarcImport(res, locals) {
+  res.renderPage("import-marc", {
+    title: "Import MARC records",
+    data: null,
+    records: null,
+    imported: null,
+    errors: null,
+    ...locals,
+  });
+}
+
+// Display MARC import upload form on GET.
+exports.marc_import_get = (_req, res, _next) => {
+  renderMarcImport(res, {});
+};
+
+// Handle an uploaded MARC file on POST: a dry run that shows each record,
+// the authors and genres it would create and the fields it would drop.
+exports.marc_import_preview_post = [
+  uploadFile,
+
+  asyncHandler(async (req, res, _next) => {
+    if (req.fileError) {
+      return renderMarcImport(res.status(400), { errors: [{ msg: req.fileError }] });
+    }
+    if (!req.file || req.file.size === 0) {
+      return renderMarcImport(res, { errors: [{ msg: "Choose a MARCXML or MARC 21 file to import." }] });
+    }
+
+    let records;
+    try {
+      records = await checkMarcImport(req.file.buffer);
+    } catch (err) {
+      return renderMarcImport(res, { errors: [{ msg: err.message }] });
+    }
+    renderMarcImport(res, { data: req.file.buffer.toString("base64"), records });
+  }),
+];
+
+// Handle a confirmed MARC import on POST: check the same file again, then
+// create the missing authors and genres and the books of the valid records.
+exports.marc_import_commit_post = [
+  upload.none(),
+
+  asyncHandler(async (req, res, _next) => {
+    if (!req.body.data) {
+      return renderMarcImport(res, { errors: [{ msg: "Nothing to import. Upload the file again." }] });
+    }
+
+    let records;
+    try {
+      records = await checkMarcImport(Buffer.from(req.body.data, "base64"));
+    } catch (err) {
+      return renderMarcImport(res, { errors: [{ msg: err.message }] });
+    }
+
+    // Records with errors are skipped. An author or genre new to the
+    // catalog is created (and announced as `type`) once, however many
+    // records name it.
+    const created = new Map();
+    const findOrCreate = async (key, type, create) => {
+      if (!created.has(key)) {
+        created.set(key, await create());
+        publish(type, created.get(key));
+      }
+      return created.get(key);
+    };
+    let imported = 0;
+    for (const record of records) {
+      if (record.errors.length > 0) continue;
+      const contributors = [];
+      for (const { author, names, role } of record.credits) {
+        const found = author || await findOrCreate(
+          `author:${names.family_name}, ${names.first_name}`,
+          "author.created",
+          () => Author.create(names),
+        );
+        contributors.push({ author: found._id, role });
+      }
+      const genres = [];
+      for (const { genre, fields } of record.subjects) {
+        const found = genre || await findOrCreate(
+          `genre:${fields.name.toLowerCase()}`,
+          "genre.created",
+          () => Genre.create({ name: fields.name }),
+        );
+        genres.push(found._id);
+      }
+      publish("book.created", await Book.create({ ...record.fields, contributors, genre: genres }));
+      imported += 1;
+    }
+    renderMarcImport(res, { records, imported });
+  }),
+];
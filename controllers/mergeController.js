@@ -0,0 +1,110 @@
+const { Author, Genre, Book, Merge } = require("../repositories");
+const { publish } = require("../helpers/events");
+
+const { body, validationResult } = require("express-validator");
+const asyncHandler = require("express-async-handler");
+
+// The mergeable models, with how to name and list their records.
+const TARGETS = {
+  Author: {
+    model: Author,
+    label: "author",
+    name: (record) => record.name,
+    sort: { family_name: 1, first_name: 1 },
+  },
+  Genre: {
+    model: Genre,
+    label: "genre",
+    name: (record) => record.name,
+    sort: { name: 1 },
+    // Its subgenres move to the survivor, which cannot be one of them.
+    check: async (record, survivor) =>
+      (await Genre.createsCycle(record._id, survivor._id))
+        ? "A genre cannot be merged into one of its subgenres."
+        : null,
+  },
+};
+
+// Render the merge form for `record`. With `books` set it is the preview of
+// a merge into `survivor`, waiting to be confirmed.
+async function renderMerge(res, modelName, record, { survivor = null, books = null, errors = null } = {}) {
+  const { model, label, name, sort } = TARGETS[modelName];
+  const candidates = await model.find({ _id: { $ne: record._id } }).sort(sort).exec();
+  res.renderPage("merge", {
+    title: `Merge ${label}: ${name(record)}`,
+    label,
+    record,
+    record_name: name(record),
+    candidates: candidates.map((candidate) => ({ record: candidate, name: name(candidate) })),
+    survivor,
+    survivor_name: survivor ? name(survivor) : null,
+    books,
+    errors,
+  });
+}
+
+// Display the form to merge a duplicate record into another.
+function mergeGet(modelName) {
+  return asyncHandler(async (req, res, next) => {
+    const record = await TARGETS[modelName].model.findById(req.params.id).exec();
+    if (record === null) {
+      const err = new Error(`${modelName} not found`);
+      err.status = 404;
+      return next(err);
+    }
+    await renderMerge(res, modelName, record);
+  });
+}
+
+// Handle merge on POST: first show which books would move, then (once
+// confirmed) merge and go to the survivor.
+function mergePost(modelName) {
+  return [
+    body("survivor", `Choose the ${TARGETS[modelName].label} to keep.`).isMongoId(),
+
+    asyncHandler(async (req, res, next) => {
+      const { model, check } = TARGETS[modelName];
+      const record = await model.findById(req.params.id).exec();
+      if (record === null) {
+        const err = new Error(`${modelName} not found`);
+        err.status = 404;
+        return next(err);
+      }
+
+      const errors = validationResult(req).array();
+      const survivor = errors.length === 0 ? await model.findById(req.body.survivor).exec() : null;
+      if (errors.length === 0 && (survivor === null || survivor._id.equals(record._id))) {
+        errors.push({ msg: `Choose another ${TARGETS[modelName].label} to keep.` });
+      } else if (errors.length === 0 && check) {
+        const problem = await check(record, survivor);
+        if (problem) errors.push({ msg: problem });
+      }
+      if (errors.length > 0) {
+        return renderMerge(res, modelName, record, { errors });
+      }
+
+      if (!req.body.confirm) {
+        const books = await Merge.affectedBooks(modelName, record._id);
+        return renderMerge(res, modelName, record, { survivor, books });
+      }
+
+      // A genre's subgenres move with its books; note them before they do.
+      const subgenres = modelName === "Genre" ? await Genre.find({ parent: record._id }, "_id").exec() : [];
+      const merge = await Merge.merge(modelName, record._id, survivor._id);
+      const type = modelName.toLowerCase();
+      publish(`${type}.deleted`, await model.findById(record._id).withTrashed().exec());
+      for (const book of await Book.find({ _id: { $in: merge.books } }).exec()) {
+        publish("book.updated", book);
+      }
+      for (const subgenre of await Genre.find({ _id: { $in: subgenres.map((genre) => genre._id) } }).exec()) {
+        publish("genre.updated", subgenre);
+      }
+      res.redirect(survivor.url);
+    }),
+  ];
+}
+
+exports.author_merge_get = mergeGet("Author");
+exports.author_merge_post = mergePost("Author");
+exports.genre_merge_get = mergeGet("Genre");
+exports.genre_merge_post = mergePost("Genre");
@@ -0,0 +1,201 @@
+const { Book, Author, Genre } = require("../repositories");
+const { paginate, pager } = require("../middleware/paginate");
+const { unescape } = require("../helpers/text");
+const { search_books } = require("./searchController");
+
+const { query } = require("express-validator");
+const asyncHandler = require("express-async-handler");
+
+// Media types of the two kinds of OPDS 1.2 catalog feed: navigation feeds
+// link to other feeds, acquisition feeds list books.
+const FEED_TYPES = {
+  navigation: "application/atom+xml;profile=opds-catalog;kind=navigation",
+  acquisition: "application/atom+xml;profile=opds-catalog;kind=acquisition",
+};
+
+// E-reader clients page through feeds but cannot choose the order, so each
+// paginated feed has a single sort.
+const byTitle = paginate({ sorts: { title: { label: "Title", sort: { title: 1 } } }, defaultSort: "title" });
+
+// Render an OPDS feed of `kind`. A navigation feed lists `entries`
+// ({ id, title, href, kind, content, updated? }), an acquisition feed `books` (with
+// contributors and genres populated). `id` makes the feed's URN unique.
+function renderFeed(req, res, { id, title, kind, entries = [], books = [], pager = null }) {
+  res.type(FEED_TYPES[kind]);
+  res.render("opds-feed", {
+    id,
+    title,
+    kind,
+    feed_types: FEED_TYPES,
+    self: req.originalUrl,
+    updated: new Date(),
+    entries,
+    books,
+    pager,
+    unescape,
+  });
+}
+
+// A page of books matching `filter`, for an acquisition feed.
+async function bookPage(req, filter) {
+  const { sort, skip, limit } = req.pagination;
+  const [books, total] = await Promise.all([
+    Book.find(filter)
+      .sort(sort)
+      .skip(skip)
+      .limit(limit)
+      .populate("contributors.author")
+      .populate("genre")
+      .exec(),
+    Book.countDocuments(filter).exec(),
+  ]);
+  return { books, pager: pager(req, total) };
+}
+
+// Root navigation feed: the ways to browse the catalog.
+exports.opds_root = (req, res) => {
+  renderFeed(req, res, {
+    id: "root",
+    title: "Local Library",
+    kind: "navigation",
+    entries: [
+      { id: "new", title: "Newest books", href: "/opds/new", kind: "acquisition", content: "Books most recently added to the catalog." },
+      { id: "authors", title: "By author", href: "/opds/authors", kind: "navigation", content: "Books listed by author." },
+      { id: "genres", title: "By genre", href: "/opds/genres", kind: "navigation", content: "Books listed by genre." },
+    ],
+  });
+};
+
+// Acquisition feed of the newest books.
+exports.opds_new = [
+  paginate({ sorts: { "-created": { label: "Newest first", sort: { _id: -1 } } }, defaultSort: "-created" }),
+
+  asyncHandler(async (req, res, _next) => {
+    renderFeed(req, res, { id: "new", title: "Newest books", kind: "acquisition", ...(await bookPage(req, {})) });
+  }),
+];
+
+// Navigation feed of every author, each leading to their books.
+exports.opds_authors = [
+  paginate({ sorts: { name: { label: "Name", sort: { family_name: 1, first_name: 1 } } }, defaultSort: "name" }),
+
+  asyncHandler(async (req, res, _next) => {
+    const { sort, skip, limit } = req.pagination;
+    const [authors, total] = await Promise.all([
+      Author.find().sort(sort).skip(skip).limit(limit).exec(),
+      Author.countDocuments().exec(),
+    ]);
+    renderFeed(req, res, {
+      id: "authors",
+      title: "Books by author",
+      kind: "navigation",
+      entries: authors.map((author) => ({
+        id: `author:${author._id}`,
+        title: unescape(author.name),
+        href: `/opds/author/${author._id}`,
+        kind: "acquisition",
+        content: author.date_of_birth ? author.lifespan : "",
+        updated: author._id.getTimestamp(),
+      })),
+      pager: pager(req, total),
+    });
+  }),
+];
+
+// Acquisition feed of the books an author is credited on.
+exports.opds_author = [
+  byTitle,
+
+  asyncHandler(async (req, res, next) => {
+    const author = await Author.findById(req.params.id).exec();
+    if (author === null) {
+      // No results.
+      const err = new Error("Author not found");
+      err.status = 404;
+      return next(err);
+    }
+    renderFeed(req, res, {
+      id: `author:${author._id}`,
+      title: `Books by ${unescape(author.name)}`,
+      kind: "acquisition",
+      ...(await bookPage(req, { "contributors.author": author._id })),
+    });
+  }),
+];
+
+// Navigation feed of every genre, each leading to its books.
+exports.opds_genres = [
+  paginate({ sorts: { name: { label: "Name", sort: { name: 1 } } }, defaultSort: "name" }),
+
+  asyncHandler(async (req, res, _next) => {
+    const { sort, skip, limit } = req.pagination;
+    const [genres, total] = await Promise.all([
+      Genre.find().sort(sort).skip(skip).limit(limit).exec(),
+      Genre.countDocuments().exec(),
+    ]);
+    renderFeed(req, res, {
+      id: "genres",
+      title: "Books by genre",
+      kind: "navigation",
+      entries: await Promise.all(genres.map(async (genre) => ({
+        id: `genre:${genre._id}`,
+        // Subgenres are named with the genres above them, e.g. "Fiction / Fantasy".
+        title: [...(await Genre.ancestorsOf(genre)), genre].map((g) => unescape(g.name)).join(" / "),
+        href: `/opds/genre/${genre._id}`,
+        kind: "acquisition",
+        content: "",
+        updated: genre._id.getTimestamp(),
+      }))),
+      pager: pager(req, total),
+    });
+  }),
+];
+
+// Acquisition feed of the books in a genre or any genre below it.
+exports.opds_genre = [
+  byTitle,
+
+  asyncHandler(async (req, res, next) => {
+    const genre = await Genre.findById(req.params.id).exec();
+    if (genre === null) {
+      // No results.
+      const err = new Error("Genre not found");
+      err.status = 404;
+      return next(err);
+    }
+    const descendantIds = await Genre.descendantIdsOf(genre._id);
+    renderFeed(req, res, {
+      id: `genre:${genre._id}`,
+      title: unescape(genre.name),
+      kind: "acquisition",
+      ...(await bookPage(req, { genre: { $in: descendantIds } })),
+    });
+  }),
+];
+
+// Acquisition feed of search results, the target of the OpenSearch descriptor.
+exports.opds_search = [
+  // Stored text was escaped on the way in, so escape the query the same way
+  // to match it. A repeated ?q= (or ?q[]=) searches for the first.
+  query("q").customSanitizer((value) => (Array.isArray(value) ? value[0] : value)).trim().escape(),
+
+  asyncHandler(async (req, res, _next) => {
+    const q = req.query.q || "";
+    renderFeed(req, res, {
+      id: `search:${encodeURIComponent(unescape(q))}`,
+      title: `Search: ${unescape(q)}`,
+      kind: "acquisition",
+      books: await search_books(q),
+    });
+  }),
+];
+
+// OpenSearch description of the catalog search, for clients and browsers.
+exports.opensearch = (req, res) => {
+  res.type("application/opensearchdescription+xml");
+  res.render("opds-opensearch", {
+    // Search URL templates must be absolute.
+    origin: `${req.protocol}://${req.get("host")}`,
+    feed_types: FEED_TYPES,
+  });
+};
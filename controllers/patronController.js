@@ -0,0 +1,228 @@
+const { Patron, Loan, Hold, Fine } = require("../repositories");
+
+const { body, validationResult } = require("express-validator");
+const asyncHandler = require("express-async-handler");
+
+// Display list of all Patrons.
+exports.patron_list = asyncHandler(async (_req, res, _next) => {
+  const allPatrons = await Patron.find().sort({ family_name: 1 }).exec();
+  res.renderPage("patron-list", { title: "Patron List", patron_list: allPatrons }, { title: "Patrons" });
+});
+
+// Display detail page for a specific Patron, with their loan history.
+exports.patron_detail = asyncHandler(async (req, res, next) => {
+  const [patron, patronLoans, patronHolds, balance] = await Promise.all([
+    Patron.findById(req.params.id).exec(),
+    Loan.find({ patron: req.params.id })
+      .sort({ checked_out: -1 })
+      .populate({ path: "book_instance", populate: { path: "book" } })
+      .exec(),
+    Hold.find({ patron: req.params.id, status: { $in: ["Waiting", "Ready"] } })
+      .sort({ placed: 1 })
+      .populate("book")
+      .exec(),
+    Fine.balanceFor(req.params.id),
+  ]);
+
+  if (patron === null) {
+    // No results.
+    const err = new Error("Patron not found");
+    err.status = 404;
+    return next(err);
+  }
+  res.renderPage("patron-detail", {
+    title: "Patron Detail",
+    patron,
+    patron_loans: patronLoans,
+    patron_holds: patronHolds,
+    fine_balance: Fine.formatCents(balance),
+    has_fines: balance > 0,
+  });
+});
+
+// Display Patron create form on GET.
+exports.patron_create_get = (_req, res, _next) => {
+  res.renderPage("patron-form", {
+    title: "Create Patron",
+    errors: null
+  });
+};
+
+// Validate and sanitize the Patron fields (shared by create and update).
+exports.patron_validators = [
+  body("first_name")
+    .trim()
+    .isLength({ min: 1 })
+    .escape()
+    .withMessage("First name must be specified."),
+  body("family_name")
+    .trim()
+    .isLength({ min: 1 })
+    .escape()
+    .withMessage("Family name must be specified."),
+  body("email", "A valid email address must be specified.")
+    .trim()
+    .isEmail()
+    .normalizeEmail(),
+];
+
+// Handle Patron create on POST.
+exports.patron_create_post = [
+  ...exports.patron_validators,
+
+  // Process request after validation and sanitization.
+  asyncHandler(async (req, res, _next) => {
+    // Extract the validation errors from a request.
+    const errors = validationResult(req).array();
+
+    // Create Patron object with escaped and trimmed data
+    const patron = new Patron({
+      first_name: req.body.first_name,
+      family_name: req.body.family_name,
+      email: req.body.email,
+    });
+
+    if (errors.length === 0) {
+      // Email addresses identify patrons, so they must be unique.
+      const emailTaken = await Patron.exists({ email: patron.email }).exec();
+      if (emailTaken) {
+        errors.push({ msg: "A patron with this email address already exists." });
+      }
+    }
+
+    if (errors.length > 0) {
+      // There are errors. Render form again with sanitized values/errors messages.
+      res.renderPage("patron-form", {
+        title: "Create Patron",
+        patron,
+        errors,
+      });
+    } else {
+      // Data from form is valid, Save patron.
+      await patron.save();
+      res.redirect(patron.url);
+    }
+  }),
+];
+
+// Display Patron delete form on GET.
+exports.patron_delete_get = asyncHandler(async (req, res, _next) => {
+  const [patron, openLoans, balance] = await Promise.all([
+    Patron.findById(req.params.id).exec(),
+    Loan.find({ patron: req.params.id, returned: null })
+      .populate({ path: "book_instance", populate: { path: "book" } })
+      .exec(),
+    Fine.balanceFor(req.params.id),
+  ]);
+
+  if (patron === null) {
+    // No results.
+    return res.redirect("/catalog/patrons");
+  }
+  res.renderPage("patron-delete", {
+    title: "Delete Patron",
+    patron,
+    open_loans: openLoans,
+    fine_balance: balance > 0 ? Fine.formatCents(balance) : null,
+  });
+});
+
+// Handle Patron delete on POST.
+exports.patron_delete_post = asyncHandler(async (req, res, _next) => {
+  const [patron, openLoans, balance] = await Promise.all([
+    Patron.findById(req.params.id).exec(),
+    Loan.find({ patron: req.params.id, returned: null })
+      .populate({ path: "book_instance", populate: { path: "book" } })
+      .exec(),
+    Fine.balanceFor(req.params.id),
+  ]);
+
+  if (patron === null) {
+    // No results.
+    return res.redirect("/catalog/patrons");
+  }
+
+  if (openLoans.length > 0 || balance > 0) {
+    // Patron still has copies out or owes fines. Render in same way as for GET route.
+    res.renderPage("patron-delete", {
+      title: "Delete Patron",
+      patron,
+      open_loans: openLoans,
+      fine_balance: balance > 0 ? Fine.formatCents(balance) : null,
+    });
+  } else {
+    // Give up the patron's place in any hold queues, then delete.
+    // Closed loans are kept as circulation history.
+    const activeHolds = await Hold.find({
+      patron: req.params.id,
+      status: { $in: ["Waiting", "Ready"] },
+    }).exec();
+    for (const hold of activeHolds) {
+      await Hold.cancel(hold._id);
+    }
+    await Patron.findByIdAndRemove(req.params.id);
+    res.redirect("/catalog/patrons");
+  }
+});
+
+// Display Patron update form on GET.
+exports.patron_update_get = asyncHandler(async (req, res, next) => {
+  const patron = await Patron.findById(req.params.id).exec();
+  if (patron === null) {
+    // No results.
+    const err = new Error("Patron not found");
+    err.status = 404;
+    return next(err);
+  }
+  res.renderPage("patron-form", {
+    title: "Update Patron",
+    patron,
+    errors: null
+  });
+});
+
+// Handle Patron update on POST.
+exports.patron_update_post = [
+  ...exports.patron_validators,
+
+  // Process request after validation and sanitization.
+  asyncHandler(async (req, res, _next) => {
+    // Extract the validation errors from a request.
+    const errors = validationResult(req).array();
+
+    // Create Patron object with escaped and trimmed data (and the old id!)
+    const patron = new Patron({
+      first_name: req.body.first_name,
+      family_name: req.body.family_name,
+      email: req.body.email,
+      _id: req.params.id,
+    });
+
+    if (errors.length === 0) {
+      const emailTaken = await Patron.exists({
+        email: patron.email,
+        _id: { $ne: req.params.id },
+      }).exec();
+      if (emailTaken) {
+        errors.push({ msg: "A patron with this email address already exists." });
+      }
+    }
+
+    if (errors.length > 0) {
+      // There are errors. Render the form again with sanitized values and error messages.
+      res.renderPage("patron-form", {
+        title: "Update Patron",
+        patron,
+        errors,
+      });
+    } else {
+      // Data from form is valid. Update the record.
+      await Patron.findByIdAndUpdate(req.params.id, {
+        first_name: patron.first_name,
+        family_name: patron.family_name,
+        email: patron.email,
+      });
+      res.redirect(patron.url);
+    }
+  }),
+];
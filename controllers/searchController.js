@@ -0,0 +1,181 @@
+const ejs = require('ejs')
+const { Book, Author, Genre } = require("../repositories");
+
+const { query } = require("express-validator");
+const asyncHandler = require("express-async-handler");
+const { normalizeIsbn } = require("../helpers/isbn");
+
+// Most candidates fetched per entity type before ranking.
+const CANDIDATE_LIMIT = 200;
+// Most results shown per entity type.
+const RESULT_LIMIT = 25;
+// Characters of summary shown around the first match.
+const SNIPPET_LENGTH = 200;
+
+// How much a term matching each field counts towards a result's rank.
+const FIELD_WEIGHTS = {
+  book: { title: 5, isbn: 8, series: 3, summary: 1 },
+  author: { family_name: 5, first_name: 3 },
+  genre: { name: 5 },
+};
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Regex source for a term. ISBN-like terms also match with hyphens or spaces
+// between the digits, so "9780756411336" finds "978-0-7564-1133-6".
+function termPattern(term) {
+  if (/^[0-9xX-]{4,}$/.test(term)) {
+    return term
+      .replace(/-/g, "")
+      .split("")
+      .map(escapeRegExp)
+      .join("[-\\s]?");
+  }
+  return escapeRegExp(term);
+}
+
+// Query matching documents where every term appears in at least one field.
+function matchAll(terms, fields) {
+  return {
+    $and: terms.map((term) => {
+      const regex = new RegExp(termPattern(term), "i");
+      return { $or: fields.map((field) => ({ [field]: regex })) };
+    }),
+  };
+}
+
+// Rank a document: weighted count of matching terms per field, with extra
+// weight for whole-word matches and for a field that starts with the term.
+function score(doc, terms, weights) {
+  let total = 0;
+  for (const [field, weight] of Object.entries(weights)) {
+    const value = doc[field] || "";
+    for (const term of terms) {
+      const pattern = termPattern(term);
+      if (!new RegExp(pattern, "i").test(value)) {
+        continue;
+      }
+      total += weight;
+      if (new RegExp("\\b" + pattern + "\\b", "i").test(value)) total += weight;
+      if (new RegExp("^" + pattern, "i").test(value)) total += weight;
+    }
+  }
+  return total;
+}
+
+// HTML for `text` with every term wrapped in <mark>. All other text is escaped.
+function highlight(text, terms) {
+  const value = text || "";
+  const regex = new RegExp("(" + terms.map(termPattern).join("|") + ")", "gi");
+  return value
+    .split(regex)
+    .map((part, index) =>
+      // split() with a capture group puts the matches at the odd indexes.
+      index % 2 === 1
+        ? "<mark>" + ejs.escapeXML(part) + "</mark>"
+        : ejs.escapeXML(part))
+    .join("");
+}
+
+// A window of `text` around its first match, so long summaries stay readable.
+function snippet(text, terms) {
+  const value = text || "";
+  if (value.length <= SNIPPET_LENGTH) {
+    return value;
+  }
+  const regex = new RegExp(terms.map(termPattern).join("|"), "i");
+  const match = regex.exec(value);
+  const start = match ? Math.max(0, match.index - SNIPPET_LENGTH / 4) : 0;
+  const end = Math.min(value.length, start + SNIPPET_LENGTH);
+  return (start > 0 ? "…" : "") + value.slice(start, end) + (end < value.length ? "…" : "");
+}
+
+// Score, sort and trim candidates of one entity type.
+function rank(docs, terms, weights) {
+  return docs
+    .map((doc) => ({ doc, score: score(doc, terms, weights) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, RESULT_LIMIT);
+}
+
+// The terms of a search query. Valid ISBNs are searched in their stored
+// ISBN-13 form, so an ISBN-10 or a hyphenated ISBN still finds the book.
+function searchTerms(q) {
+  return q
+    .split(/\s+/)
+    .filter((term) => term.length > 0)
+    .map((term) => normalizeIsbn(term) || term);
+}
+
+// The best-matching books for `q` (escaped the same way as stored text),
+// best first. Also serves the OPDS catalog's search.
+exports.search_books = async (q) => {
+  const terms = searchTerms(q);
+  if (terms.length === 0) {
+    return [];
+  }
+  const books = await Book.find(matchAll(terms, Object.keys(FIELD_WEIGHTS.book)))
+    .limit(CANDIDATE_LIMIT)
+    .populate("contributors.author")
+    .populate("genre")
+    .exec();
+  return rank(books, terms, FIELD_WEIGHTS.book).map(({ doc }) => doc);
+};
+
+// Display search results, grouped by entity type.
+exports.search = [
+  // Stored text was escaped on the way in, so escape the query the same way
+  // to match it. A repeated ?q= (or ?q[]=) searches for the first.
+  query("q").customSanitizer((value) => (Array.isArray(value) ? value[0] : value)).trim().escape(),
+
+  asyncHandler(async (req, res, _next) => {
+    const q = req.query.q || "";
+    const terms = searchTerms(q);
+
+    let results = null;
+    if (terms.length > 0) {
+      const [books, authors, genres] = await Promise.all([
+        Book.find(matchAll(terms, Object.keys(FIELD_WEIGHTS.book)))
+          .limit(CANDIDATE_LIMIT)
+          .populate("contributors.author")
+          .exec(),
+        Author.find(matchAll(terms, Object.keys(FIELD_WEIGHTS.author)))
+          .limit(CANDIDATE_LIMIT)
+          .exec(),
+        Genre.find(matchAll(terms, Object.keys(FIELD_WEIGHTS.genre)))
+          .limit(CANDIDATE_LIMIT)
+          .exec(),
+      ]);
+
+      results = {
+        books: rank(books, terms, FIELD_WEIGHTS.book).map(({ doc }) => ({
+          url: doc.url,
+          title: highlight(doc.title, terms),
+          isbn: highlight(doc.isbn, terms),
+          summary: highlight(snippet(doc.summary, terms), terms),
+          contributors: doc.contributors,
+        })),
+        authors: rank(authors, terms, FIELD_WEIGHTS.author).map(({ doc }) => ({
+          url: doc.url,
+          name: highlight(doc.name, terms),
+          lifespan: doc.lifespan,
+        })),
+        genres: rank(genres, terms, FIELD_WEIGHTS.genre).map(({ doc }) => ({
+          url: doc.url,
+          name: highlight(doc.name, terms),
+        })),
+        // Totals before trimming to RESULT_LIMIT.
+        counts: { books: books.length, authors: authors.length, genres: genres.length },
+      };
+    }
+
+    res.renderPage("search", {
+      title: "Search",
+      q,
+      results,
+      result_limit: RESULT_LIMIT,
+    }, { title: q ? `Search: ${q}` : "Search", q });
+  }),
+];
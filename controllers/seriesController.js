@@ -0,0 +1,53 @@
+const { Book } = require("../repositories");
+const asyncHandler = require("express-async-handler");
+
+// Display list of all series, with how many volumes the library has of each.
+exports.series_list = asyncHandler(async (req, res, _next) => {
+  const books = await Book.find({ series: { $ne: null } }, "series publication_year")
+    .sort({ series: 1 })
+    .exec();
+
+  // Group the volumes by series (the in-memory store has no aggregate()).
+  const seriesByName = new Map();
+  for (const book of books) {
+    const series = seriesByName.get(book.series) || {
+      name: book.series,
+      url: book.series_url,
+      volumes: 0,
+      years: [],
+    };
+    series.volumes += 1;
+    if (book.publication_year) series.years.push(book.publication_year);
+    seriesByName.set(book.series, series);
+  }
+
+  res.renderPage("series-list", {
+    title: "Series List",
+    series_list: Array.from(seriesByName.values(), (series) => ({
+      ...series,
+      first_year: series.years.length ? Math.min(...series.years) : null,
+      last_year: series.years.length ? Math.max(...series.years) : null,
+    })),
+  }, { title: "Series" });
+});
+
+// Display detail page for a specific series: its volumes in reading order.
+exports.series_detail = asyncHandler(async (req, res, next) => {
+  const volumes = await Book.find({ series: req.params.name })
+    .sort({ series_number: 1, publication_year: 1, title: 1 })
+    .populate("contributors.author")
+    .exec();
+
+  if (volumes.length === 0) {
+    // No results.
+    const err = new Error("Series not found");
+    err.status = 404;
+    return next(err);
+  }
+
+  res.renderPage("series-detail", {
+    title: "Series Detail",
+    series: req.params.name,
+    volumes,
+  }, { title: req.params.name });
+});
@@ -0,0 +1,137 @@
+const { Book, Author, Genre, BookInstance } = require("../repositories");
+const { publish } = require("../helpers/events");
+
+const asyncHandler = require("express-async-handler");
+
+// The trashable record types, keyed as they appear in trash URLs (and
+// event names).
+// `parents` must be live for a record to be restored; `children` still
+// point at a record (even from the trash), so it cannot be purged yet.
+const TYPES = {
+  book: {
+    label: "Book",
+    model: Book,
+    name: (record) => record.title,
+    parents: (record) => [
+      ...record.contributors.map((contributor) => ({ model: Author, id: contributor.author, label: "contributor" })),
+      ...record.genre.map((id) => ({ model: Genre, id, label: "genre" })),
+    ],
+    children: (record) => BookInstance.countDocuments({ book: record._id }).withTrashed().exec(),
+  },
+  author: {
+    label: "Author",
+    model: Author,
+    name: (record) => record.name,
+    parents: () => [],
+    children: (record) => Book.countDocuments({ "contributors.author": record._id }).withTrashed().exec(),
+  },
+  genre: {
+    label: "Genre",
+    model: Genre,
+    name: (record) => record.name,
+    parents: (record) => [{ model: Genre, id: record.parent, label: "parent genre" }],
+    children: async (record) =>
+      (await Book.countDocuments({ genre: record._id }).withTrashed().exec())
+      + (await Genre.countDocuments({ parent: record._id }).withTrashed().exec()),
+  },
+  bookinstance: {
+    label: "Book copy",
+    model: BookInstance,
+    name: (record) => `${record.book ? record.book.title : "Unknown book"}: ${record.imprint}`,
+    parents: (record) => [{ model: Book, id: record.book && record.book._id, label: "book" }],
+    children: async () => 0,
+  },
+};
+
+// Render the trash, optionally with errors from a failed restore or purge.
+async function renderTrash(res, errors) {
+  const sections = await Promise.all(
+    Object.entries(TYPES).map(async ([key, type]) => {
+      let query = type.model.findTrashed();
+      if (key === "bookinstance") {
+        query = query.populate({ path: "book", options: { withTrashed: true } });
+      }
+      const records = await query.exec();
+      return {
+        key,
+        label: type.label,
+        items: records.map((record) => ({ record, name: type.name(record) })),
+      };
+    }),
+  );
+  res.renderPage("trash", { title: "Trash", sections, errors });
+}
+
+// Find the trashed record named by the :type and :id URL parameters.
+async function findTrashed(req) {
+  const type = TYPES[req.params.type];
+  if (!type) return {};
+  let query = type.model.findOne({ _id: req.params.id, deleted_at: { $ne: null } });
+  if (req.params.type === "bookinstance") {
+    query = query.populate({ path: "book", options: { withTrashed: true } });
+  }
+  return { type, record: await query.exec() };
+}
+
+// Display the deleted records awaiting purge.
+exports.trash_list = asyncHandler(async (_req, res, _next) => {
+  await renderTrash(res, null);
+});
+
+// Handle restore of a trashed record on POST.
+exports.trash_restore_post = asyncHandler(async (req, res, next) => {
+  const { type, record } = await findTrashed(req);
+  if (!record) {
+    const err = new Error("Trashed record not found");
+    err.status = 404;
+    return next(err);
+  }
+
+  // A record cannot come back pointing at one that is still in the trash.
+  const errors = [];
+  for (const parent of type.parents(record)) {
+    const found = parent.id ? await parent.model.findById(parent.id).withTrashed().exec() : null;
+    if (found && found.deleted_at) {
+      errors.push({
+        msg: `"${type.name(record)}" cannot be restored until its ${parent.label} "${found.title || found.name}" is restored.`,
+      });
+    }
+  }
+  if (errors.length > 0) {
+    return renderTrash(res.status(409), errors);
+  }
+
+  const restored = await type.model.restore(record._id);
+  if (restored) publish(`${req.params.type}.updated`, restored);
+  res.redirect(record.url);
+});
+
+// Purge the records trashed more than TRASH_RETENTION_DAYS ago that nothing
+// refers to any more, as trash_purge_post would. Copies go first, so a book
+// whose copies are all purged goes in the same run.
+exports.purge_expired = async () => {
+  for (const key of ["bookinstance", "book", "author", "genre"]) {
+    const { model, children } = TYPES[key];
+    await model.purgeExpired({ isReferenced: async (record) => (await children(record)) > 0 });
+  }
+};
+
+// Handle permanent deletion of a trashed record on POST.
+exports.trash_purge_post = asyncHandler(async (req, res, next) => {
+  const { type, record } = await findTrashed(req);
+  if (!record) {
+    const err = new Error("Trashed record not found");
+    err.status = 404;
+    return next(err);
+  }
+
+  const children = await type.children(record);
+  if (children > 0) {
+    return renderTrash(res.status(409), [
+      { msg: `"${type.name(record)}" is still referred to by ${children} other record(s), some perhaps in the trash. Purge those first.` },
+    ]);
+  }
+
+  await type.model.purge(record._id);
+  res.redirect("/catalog/trash");
+});
@@ -0,0 +1,261 @@
+const debug = require("debug")("express-playground:auth");
+const { User, Session, PasswordReset } = require("../repositories");
+const { logIn, logOut } = require("../middleware/auth");
+
+const { body, validationResult } = require("express-validator");
+const asyncHandler = require("express-async-handler");
+
+// Only follow same-site relative paths after login, never another host.
+function safeNext(next) {
+  return typeof next === "string" && next.startsWith("/") && !next.startsWith("//")
+    ? next
+    : "/catalog";
+}
+
+// Validate a new password and its confirmation.
+const password_validators = [
+  body("password", "Password must be at least 8 characters long.")
+    .isLength({ min: 8, max: 200 }),
+  body("password_confirm", "Passwords do not match.")
+    .custom((value, { req }) => value === req.body.password),
+];
+
+// Display the logged-in user's account page.
+exports.account = (req, res, _next) => {
+  res.renderPage("user-account", {
+    title: "Your Account",
+    user: req.user,
+  });
+};
+
+// Display registration form on GET.
+exports.register_get = (_req, res, _next) => {
+  res.renderPage("user-register", {
+    title: "Register",
+    errors: null
+  });
+};
+
+// Handle registration on POST.
+exports.register_post = [
+  // Validate and sanitize fields.
+  body("username")
+    .trim()
+    .toLowerCase()
+    .isLength({ min: 3, max: 30 })
+    .withMessage("Username must be 3 to 30 characters long.")
+    .isAlphanumeric()
+    .withMessage("Username has non-alphanumeric characters."),
+  body("email", "A valid email address must be specified.")
+    .trim()
+    .isEmail()
+    .normalizeEmail(),
+  ...password_validators,
+
+  // Process request after validation and sanitization.
+  asyncHandler(async (req, res, _next) => {
+    // Extract the validation errors from a request.
+    const errors = validationResult(req).array();
+
+    if (errors.length === 0) {
+      const [usernameTaken, emailTaken] = await Promise.all([
+        User.exists({ username: req.body.username }).exec(),
+        User.exists({ email: req.body.email }).exec(),
+      ]);
+      if (usernameTaken) {
+        errors.push({ msg: "That username is already taken." });
+      }
+      if (emailTaken) {
+        errors.push({ msg: "An account with this email address already exists." });
+      }
+    }
+
+    if (errors.length > 0) {
+      // There are errors. Render form again with sanitized values (never the password).
+      return res.renderPage("user-register", {
+        title: "Register",
+        user: { username: req.body.username, email: req.body.email },
+        errors,
+      });
+    }
+
+    // Data from form is valid. Create the account and log straight in.
+    // The very first account administers the site; everyone else starts as a patron.
+    const isFirstUser = (await User.countDocuments({}).exec()) === 0;
+    const user = new User({
+      username: req.body.username,
+      email: req.body.email,
+      role: isFirstUser ? "admin" : "patron",
+    });
+    await user.setPassword(req.body.password);
+    await user.save();
+    await logIn(req, res, user);
+    res.redirect("/catalog");
+  }),
+];
+
+// Display login form on GET.
+exports.login_get = (req, res, _next) => {
+  res.renderPage("user-login", {
+    title: "Log In",
+    next: safeNext(req.query.next),
+    errors: null
+  });
+};
+
+// Handle login on POST.
+exports.login_post = [
+  body("username").trim().toLowerCase(),
+
+  asyncHandler(async (req, res, _next) => {
+    const user = await User.findOne({ username: req.body.username }).exec();
+    const valid = user !== null && (await user.verifyPassword(req.body.password || ""));
+
+    if (!valid) {
+      // Same message whether the username or the password was wrong.
+      return res.status(401).renderPage("user-login", {
+        title: "Log In",
+        username: req.body.username,
+        next: safeNext(req.body.next),
+        errors: [{ msg: "Incorrect username or password." }],
+      });
+    }
+
+    await logIn(req, res, user);
+    res.redirect(safeNext(req.body.next));
+  }),
+];
+
+// Handle logout on POST.
+exports.logout_post = asyncHandler(async (req, res, _next) => {
+  await logOut(req, res);
+  res.redirect("/catalog");
+});
+
+// Display forgotten password form on GET.
+exports.forgot_get = (_req, res, _next) => {
+  res.renderPage("user-forgot", {
+    title: "Reset Password",
+    sent: false,
+    reset_link: null,
+    errors: null
+  });
+};
+
+// Handle forgotten password on POST: issue a one-time reset link.
+exports.forgot_post = [
+  body("email", "A valid email address must be specified.")
+    .trim()
+    .isEmail()
+    .normalizeEmail(),
+
+  asyncHandler(async (req, res, _next) => {
+    const errors = validationResult(req).array();
+    let resetLink = null;
+
+    if (errors.length === 0) {
+      const user = await User.findOne({ email: req.body.email }).exec();
+      if (user !== null) {
+        const token = await PasswordReset.issue(user._id);
+        resetLink = `${req.protocol}://${req.get("host")}/users/reset/${token}`;
+        // There is no mailer yet: the link goes to the server log.
+        debug("Password reset link for %s: %s", user.username, resetLink);
+      }
+    }
+
+    // Don't reveal whether the address has an account, except in development.
+    res.renderPage("user-forgot", {
+      title: "Reset Password",
+      sent: errors.length === 0,
+      reset_link: req.app.get("env") === "development" ? resetLink : null,
+      errors: errors.length > 0 ? errors : null,
+    });
+  }),
+];
+
+// Display the choose-new-password form for a reset token on GET.
+exports.reset_get = asyncHandler(async (req, res, next) => {
+  const reset = await PasswordReset.findValid(req.params.token);
+  if (reset === null) {
+    const err = new Error("This password reset link is invalid or has expired.");
+    err.status = 404;
+    return next(err);
+  }
+  res.renderPage("user-reset", {
+    title: "Choose a New Password",
+    errors: null
+  });
+});
+
+// Handle a new password for a reset token on POST.
+exports.reset_post = [
+  ...password_validators,
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req).array();
+
+    if (errors.length > 0) {
+      return res.renderPage("user-reset", {
+        title: "Choose a New Password",
+        errors,
+      });
+    }
+
+    // The token is only used up once the new password is acceptable.
+    const reset = await PasswordReset.consume(req.params.token);
+    const user = reset === null ? null : await User.findById(reset.user).exec();
+    if (user === null) {
+      const err = new Error("This password reset link is invalid or has expired.");
+      err.status = 404;
+      return next(err);
+    }
+
+    await user.setPassword(req.body.password);
+    await user.save();
+    // Log out everywhere else: whoever knew the old password is locked out.
+    await Session.deleteMany({ user: user._id }).exec();
+    await logIn(req, res, user);
+    res.redirect("/catalog");
+  }),
+];
+
+// Display all accounts with their roles (admins only).
+exports.user_list = asyncHandler(async (req, res, _next) => {
+  const allUsers = await User.find().sort({ username: 1 }).exec();
+  res.renderPage("user-list", {
+    title: "User Accounts",
+    user_list: allUsers,
+    roles: User.ROLES,
+    current_user_id: req.user._id.toString(),
+  });
+});
+
+// Handle role change for an account on POST (admins only).
+exports.user_role_post = [
+  body("role", "Unknown role").isIn(User.ROLES),
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const err = new Error(errors.array()[0].msg);
+      err.status = 400;
+      return next(err);
+    }
+    if (req.user._id.equals(req.params.id)) {
+      // Stops the last admin from locking everyone out by demoting themselves.
+      const err = new Error("You cannot change your own role.");
+      err.status = 400;
+      return next(err);
+    }
+
+    const user = await User.findByIdAndUpdate(req.params.id, {
+      role: req.body.role,
+    }).exec();
+    if (user === null) {
+      const err = new Error("User not found");
+      err.status = 404;
+      return next(err);
+    }
+    res.redirect("/users/admin");
+  }),
+];
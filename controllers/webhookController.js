@@ -0,0 +1,187 @@
+const { Webhook, WebhookDelivery } = require("../repositories");
+const { EVENT_TYPES } = require("../helpers/events");
+
+const { body, validationResult } = require("express-validator");
+const asyncHandler = require("express-async-handler");
+
+// How many of a webhook's deliveries its page lists, newest first.
+const DELIVERY_LOG_LIMIT = 50;
+
+// Validate and sanitize the Webhook fields (shared by create and update).
+const webhook_validators = [
+  // Not escaped: it is used as a URL, and only shown through the views.
+  body("endpoint", "Endpoint must be an http:// or https:// URL.")
+    .trim()
+    .isURL({ protocols: ["http", "https"], require_protocol: true, require_tld: false }),
+  body("description", "Description must be at most 200 characters.")
+    .trim()
+    .isLength({ max: 200 })
+    .escape(),
+  body("events").toArray(),
+  body("events", "Choose at least one event to send.").isArray({ min: 1 }),
+  body("events.*", "Unknown event").isIn(EVENT_TYPES),
+];
+
+// Render the create or update form.
+function renderWebhookForm(res, title, webhook, errors) {
+  res.renderPage("webhook-form", {
+    title,
+    webhook,
+    event_types: EVENT_TYPES,
+    errors,
+  });
+}
+
+// Display list of all webhooks, with how many deliveries are still being
+// retried or were given up on.
+exports.webhook_list = asyncHandler(async (_req, res, _next) => {
+  const [allWebhooks, unsettled] = await Promise.all([
+    Webhook.find().sort({ created: 1 }).exec(),
+    WebhookDelivery.find({ status: { $in: ["Pending", "Failed"] } }, "webhook status").exec(),
+  ]);
+
+  const counts = new Map(allWebhooks.map((webhook) => [webhook._id.toString(), { Pending: 0, Failed: 0 }]));
+  for (const delivery of unsettled) {
+    const count = counts.get(delivery.webhook.toString());
+    if (count) count[delivery.status]++;
+  }
+  res.renderPage("webhook-list", {
+    title: "Webhooks",
+    webhook_list: allWebhooks.map((webhook) => ({ webhook, ...counts.get(webhook._id.toString()) })),
+  });
+});
+
+// Display detail page for a specific webhook, with its delivery log.
+exports.webhook_detail = asyncHandler(async (req, res, next) => {
+  const [webhook, deliveries] = await Promise.all([
+    Webhook.findById(req.params.id).exec(),
+    WebhookDelivery.find({ webhook: req.params.id })
+      .sort({ created: -1 })
+      .limit(DELIVERY_LOG_LIMIT)
+      .exec(),
+  ]);
+
+  if (webhook === null) {
+    // No results.
+    const err = new Error("Webhook not found");
+    err.status = 404;
+    return next(err);
+  }
+  res.renderPage("webhook-detail", {
+    title: "Webhook",
+    webhook,
+    deliveries,
+    log_limit: DELIVERY_LOG_LIMIT,
+    retry_delays: WebhookDelivery.RETRY_DELAYS_MINUTES,
+  });
+});
+
+// Display Webhook create form on GET.
+exports.webhook_create_get = (_req, res, _next) => {
+  renderWebhookForm(res, "Create Webhook", undefined, null);
+};
+
+// Handle Webhook create on POST.
+exports.webhook_create_post = [
+  ...webhook_validators,
+
+  asyncHandler(async (req, res, _next) => {
+    const errors = validationResult(req);
+
+    const webhook = new Webhook({
+      endpoint: req.body.endpoint,
+      description: req.body.description,
+      events: req.body.events,
+      active: Boolean(req.body.active),
+    });
+
+    if (!errors.isEmpty()) {
+      // There are errors. Render the form again with sanitized values/error messages.
+      return renderWebhookForm(res, "Create Webhook", webhook, errors.array());
+    }
+    await webhook.save();
+    res.redirect(webhook.url);
+  }),
+];
+
+// Display Webhook update form on GET.
+exports.webhook_update_get = asyncHandler(async (req, res, next) => {
+  const webhook = await Webhook.findById(req.params.id).exec();
+
+  if (webhook === null) {
+    // No results.
+    const err = new Error("Webhook not found");
+    err.status = 404;
+    return next(err);
+  }
+  renderWebhookForm(res, "Update Webhook", webhook, null);
+});
+
+// Handle Webhook update on POST. The secret stays the same.
+exports.webhook_update_post = [
+  ...webhook_validators,
+
+  asyncHandler(async (req, res, next) => {
+    const errors = validationResult(req);
+
+    const webhook = new Webhook({
+      endpoint: req.body.endpoint,
+      description: req.body.description,
+      events: req.body.events,
+      active: Boolean(req.body.active),
+      _id: req.params.id,
+    });
+
+    if (!errors.isEmpty()) {
+      // There are errors. Render the form again with sanitized values/error messages.
+      return renderWebhookForm(res, "Update Webhook", webhook, errors.array());
+    }
+
+    const updated = await Webhook.findByIdAndUpdate(req.params.id, {
+      endpoint: webhook.endpoint,
+      description: webhook.description,
+      events: webhook.events,
+      active: webhook.active,
+    }).exec();
+    if (updated === null) {
+      const err = new Error("Webhook not found");
+      err.status = 404;
+      return next(err);
+    }
+    res.redirect(webhook.url);
+  }),
+];
+
+// Handle a new signing secret for a Webhook on POST. The old one stops
+// working at once, so the receiver must be given the new one.
+exports.webhook_secret_post = asyncHandler(async (req, res, next) => {
+  const webhook = await Webhook.findById(req.params.id).exec();
+
+  if (webhook === null) {
+    const err = new Error("Webhook not found");
+    err.status = 404;
+    return next(err);
+  }
+  webhook.secret = Webhook.newSecret();
+  await webhook.save();
+  res.redirect(webhook.url);
+});
+
+// Handle Webhook delete on POST, with its delivery log.
+exports.webhook_delete_post = asyncHandler(async (req, res, _next) => {
+  await Webhook.findByIdAndDelete(req.params.id).exec();
+  await WebhookDelivery.deleteMany({ webhook: req.params.id }).exec();
+  res.redirect("/webhooks");
+});
+
+// Handle sending a failed delivery again on POST.
+exports.delivery_redeliver_post = asyncHandler(async (req, res, next) => {
+  const delivery = await WebhookDelivery.redeliver(req.params.id);
+
+  if (delivery === null) {
+    const err = new Error("No failed delivery to send again");
+    err.status = 404;
+    return next(err);
+  }
+  res.redirect("/webhooks/" + delivery.webhook);
+});
@@ -0,0 +1,12 @@
+const { AsyncLocalStorage } = require("async_hooks");
+
+// Per-request details for the audit log (see models/audited.js), carried
+// through every async call the request makes. loadUser sets `actor`.
+const storage = new AsyncLocalStorage();
+
+// Run `fn` with `values` (e.g. { actor } or { reverted_to }) added to the
+// audit context.
+exports.withAuditContext = (values, fn) => storage.run({ ...storage.getStore(), ...values }, fn);
+
+// The current audit context, or {} outside a request (e.g. timers).
+exports.auditContext = () => storage.getStore() || {};
@@ -0,0 +1,65 @@
+// Chart layouts for the views/bar-chart and views/line-chart partials, which
+// draw them as inline SVG: everything is worked out here, in SVG user units,
+// so the pages need no script.
+
+// Series colours, in order (Bootstrap's primary, success, warning, danger
+// and info).
+const COLOURS = ["#007bff", "#28a745", "#ffc107", "#dc3545", "#17a2b8"];
+
+// Whole round numbers for a count axis from 0 to at least `max`: [0, step, ...].
+function ticks(max, count = 4) {
+  const rough = Math.max(max, 1) / count;
+  const magnitude = 10 ** Math.max(0, Math.floor(Math.log10(rough)));
+  const step = [1, 2, 5, 10].map((m) => m * magnitude).find((s) => s >= rough);
+  return Array.from({ length: Math.ceil(Math.max(max, 1) / step) + 1 }, (_, i) => i * step);
+}
+
+// Horizontal bars, one per item: [{ label, value, url? }]. Labels go in a
+// left margin wide enough for the longest (up to `labelWidth`).
+exports.barChart = (items, { width = 600, barHeight = 22, gap = 6, labelWidth = 200 } = {}) => {
+  const max = Math.max(0, ...items.map((item) => item.value));
+  const labelSpace = Math.min(labelWidth, 10 + 7 * Math.max(0, ...items.map((item) => item.label.length)));
+  const plotWidth = width - labelSpace - 50;
+  return {
+    width,
+    height: items.length * (barHeight + gap) + gap,
+    labelSpace,
+    barHeight,
+    bars: items.map((item, index) => ({
+      ...item,
+      y: gap + index * (barHeight + gap),
+      width: max ? Math.round((item.value / max) * plotWidth) : 0,
+      colour: item.colour || COLOURS[0],
+    })),
+  };
+};
+
+// Lines over a run of periods: `labels` names each period on the x axis
+// (only some are printed when there are many) and each of `series`
+// ({ name, values }) has one value per period.
+exports.lineChart = (labels, series, { width = 600, height = 220, left = 40, bottom = 30, top = 10, right = 10 } = {}) => {
+  const yTicks = ticks(Math.max(0, ...series.flatMap((line) => line.values)));
+  const yMax = yTicks[yTicks.length - 1];
+  const plotWidth = width - left - right;
+  const plotHeight = height - top - bottom;
+  const x = (index) => left + (labels.length > 1 ? (index / (labels.length - 1)) * plotWidth : plotWidth / 2);
+  const y = (value) => top + plotHeight - (value / yMax) * plotHeight;
+  const every = Math.ceil(labels.length / 8);
+  return {
+    width,
+    height,
+    plot: { left, right: width - right, top, bottom: height - bottom },
+    yTicks: yTicks.map((value) => ({ value, y: y(value) })),
+    xTicks: labels
+      .map((label, index) => ({ label, x: x(index) }))
+      .filter((_, index) => (labels.length - 1 - index) % every === 0),
+    lines: series.map((line, index) => ({
+      name: line.name,
+      colour: COLOURS[index % COLOURS.length],
+      points: line.values.map((value, i) => `${x(i).toFixed(1)},${y(value).toFixed(1)}`).join(" "),
+      last: line.values[line.values.length - 1],
+    })),
+  };
+};
+
+exports.COLOURS = COLOURS;
@@ -0,0 +1,216 @@
+const { unescape } = require("./text");
+
+// Citations of books (with `contributors.author` populated): reference
+// manager files in BibTeX, RIS or CSL-JSON, and formatted references in the
+// APA (7th), MLA (9th) and Chicago (17th, bibliography) styles. All read
+// stored (escaped) text back to what was typed in.
+
+// A book's people by role, each as { family, given }, and its other fields
+// as plain text.
+function describe(book) {
+  const people = (role) => book.contributors
+    .filter((contributor) => contributor.author && contributor.role === role)
+    .map(({ author }) => ({ family: unescape(author.family_name), given: unescape(author.first_name) }));
+  return {
+    authors: people("Author"),
+    editors: people("Editor"),
+    translators: people("Translator"),
+    illustrators: people("Illustrator"),
+    title: unescape(book.title),
+    publisher: book.publisher ? unescape(book.publisher) : "",
+    year: book.publication_year || null,
+    edition: book.edition ? unescape(book.edition) : "",
+    series: book.series ? unescape(book.series) : "",
+    series_number: book.series_number ?? null,
+  };
+}
+
+// "Ursula K." as initials: "U. K.".
+const initials = (given) => given.split(/[\s.]+/).filter(Boolean).map((name) => name[0] + ".").join(" ");
+
+// "A", "A and B", "A, B, and C" (with `and` as the conjunction).
+function joinNames(names, and = "and") {
+  if (names.length <= 2) return names.join(` ${and} `);
+  return names.slice(0, -1).join(", ") + `, ${and} ` + names[names.length - 1];
+}
+
+// Ensure a sentence ends with one full stop.
+const sentence = (text) => (/[.?!]$/.test(text) ? text : text + ".");
+
+// Formatted references, each split around the title ({ before, title,
+// after }) so it can be set in italics.
+const STYLES = {
+  apa: {
+    label: "APA",
+    format(book) {
+      const { authors, editors, translators, title, publisher, year, edition } = describe(book);
+      const credited = authors.length ? authors : editors;
+      const names = credited.map(({ family, given }) => `${family}, ${initials(given)}`);
+      let before = names.length === 0 ? ""
+        : names.length === 1 ? names[0]
+          : names.slice(0, -1).join(", ") + ", & " + names[names.length - 1];
+      if (!authors.length && editors.length) before += editors.length > 1 ? " (Eds.)." : " (Ed.).";
+      before = (before ? sentence(before) + " " : "") + `(${year || "n.d."}). `;
+      const notes = [
+        edition ? `${edition} ed.` : "",
+        translators.length
+          ? `${joinNames(translators.map(({ family, given }) => `${initials(given)} ${family}`), "&")}, Trans.`
+          : "",
+      ].filter(Boolean);
+      const after = (notes.length ? ` (${notes.join("; ")})` : "") + "." + (publisher ? ` ${publisher}.` : "");
+      return { before, title, after };
+    },
+  },
+  mla: {
+    label: "MLA",
+    format(book) {
+      const { authors, editors, translators, title, publisher, year, edition } = describe(book);
+      const credited = authors.length ? authors : editors;
+      let before = "";
+      if (credited.length === 1) {
+        before = `${credited[0].family}, ${credited[0].given}`;
+      } else if (credited.length === 2) {
+        before = `${credited[0].family}, ${credited[0].given}, and ${credited[1].given} ${credited[1].family}`;
+      } else if (credited.length > 2) {
+        before = `${credited[0].family}, ${credited[0].given}, et al`;
+      }
+      if (!authors.length && editors.length) before += editors.length > 1 ? ", editors" : ", editor";
+      before = before ? sentence(before) + " " : "";
+      const elements = [
+        translators.length ? "translated by " + joinNames(translators.map(({ family, given }) => `${given} ${family}`)) : "",
+        edition ? `${edition} ed.` : "",
+        publisher,
+        year ? String(year) : "",
+      ].filter(Boolean);
+      const after = "." + (elements.length ? " " + sentence(elements.join(", ").replace(/^t/, "T")) : "");
+      return { before, title, after };
+    },
+  },
+  chicago: {
+    label: "Chicago",
+    format(book) {
+      const { authors, editors, translators, title, publisher, year, edition, series, series_number } = describe(book);
+      const credited = authors.length ? authors : editors;
+      const names = credited.map(({ family, given }, index) => (index === 0 ? `${family}, ${given}` : `${given} ${family}`));
+      let before = names.length === 2 ? names.join(", and ") : joinNames(names);
+      if (!authors.length && editors.length) before += editors.length > 1 ? ", eds" : ", ed";
+      before = before ? sentence(before) + " " : "";
+      const parts = [
+        translators.length ? "Translated by " + joinNames(translators.map(({ family, given }) => `${given} ${family}`)) + "." : "",
+        edition ? `${edition} ed.` : "",
+        series ? sentence(series_number !== null ? `${series} ${series_number}` : series) : "",
+        publisher || year ? sentence([publisher, year].filter(Boolean).join(", ")) : "",
+      ].filter(Boolean);
+      const after = "." + (parts.length ? " " + parts.join(" ") : "");
+      return { before, title, after };
+    },
+  },
+};
+
+// The formatted references of `book` in every style: [{ style, label,
+// before, title, after }].
+exports.formatCitations = (book) =>
+  Object.entries(STYLES).map(([style, { label, format }]) => ({ style, label, ...format(book) }));
+
+// BibTeX: escape the characters that mean something to TeX.
+const BIBTEX_SPECIAL = {
+  "\\": "\\textbackslash{}", "{": "\\{", "}": "\\}", "&": "\\&", "%": "\\%",
+  $: "\\$", "#": "\\#", _: "\\_", "~": "\\textasciitilde{}", "^": "\\textasciicircum{}",
+};
+const bibtexText = (text) => String(text).replace(/[\\{}&%$#_~^]/g, (c) => BIBTEX_SPECIAL[c]);
+
+// BibTeX entries; keys are the first family name, year and first title word,
+// e.g. "leguin1971tombs", made unique within the file.
+function toBibtex(books) {
+  const keys = new Set();
+  return books.map((book) => {
+    const d = describe(book);
+    const people = d.authors.length ? d.authors : d.editors;
+    const base = [
+      people.length ? people[0].family : "anon",
+      d.year || "",
+      d.title.split(/\s+/).find((word) => !/^(a|an|the)$/i.test(word)) || "",
+    ].join("").normalize("NFD").replace(/[^A-Za-z0-9]/g, "").toLowerCase();
+    let key = base;
+    for (let suffix = 1; keys.has(key); suffix++) key = base + String.fromCharCode(96 + suffix);
+    keys.add(key);
+
+    const names = (list) => list.map(({ family, given }) => `${family}, ${given}`).join(" and ");
+    const fields = [
+      ["author", names(d.authors)],
+      ["editor", names(d.editors)],
+      ["translator", names(d.translators)],
+      ["title", d.title],
+      ["edition", d.edition],
+      ["series", d.series],
+      ["number", d.series ? d.series_number : null],
+      ["publisher", d.publisher],
+      ["year", d.year],
+      ["pagetotal", book.page_count],
+      ["language", book.language],
+      ["isbn", book.isbn],
+    ].filter(([, value]) => value !== undefined && value !== null && value !== "");
+    return `@book{${key},\n` + fields.map(([name, value]) => `  ${name} = {${bibtexText(value)}}`).join(",\n") + "\n}\n";
+  }).join("\n");
+}
+
+// RIS records, one tag per line, with CRLF line ends.
+function toRis(books) {
+  return books.map((book) => {
+    const d = describe(book);
+    const names = (tag, list) => list.map(({ family, given }) => [tag, `${family}, ${given}`]);
+    const lines = [
+      ["TY", "BOOK"],
+      ...names("AU", d.authors),
+      ...names("ED", d.editors),
+      ...names("A4", d.translators),
+      ["TI", d.title],
+      ["T2", d.series],
+      ["VL", d.series ? d.series_number : null],
+      ["ET", d.edition],
+      ["PB", d.publisher],
+      ["PY", d.year],
+      ["SN", book.isbn],
+      ["LA", book.language],
+      ["AB", unescape(book.summary || "")],
+    ].filter(([, value]) => value !== undefined && value !== null && value !== "");
+    return [...lines, ["ER", ""]].map(([tag, value]) => `${tag}  - ${value}`).join("\r\n") + "\r\n";
+  }).join("\r\n");
+}
+
+// CSL-JSON, the format citation processors (Zotero, pandoc) read.
+function toCslJson(books) {
+  return JSON.stringify(books.map((book) => {
+    const d = describe(book);
+    const item = { id: String(book._id), type: "book", title: d.title };
+    for (const [field, people] of [["author", d.authors], ["editor", d.editors], ["translator", d.translators], ["illustrator", d.illustrators]]) {
+      if (people.length) item[field] = people;
+    }
+    if (d.year) item.issued = { "date-parts": [[d.year]] };
+    if (d.publisher) item.publisher = d.publisher;
+    if (d.edition) item.edition = d.edition;
+    if (d.series) item["collection-title"] = d.series;
+    if (d.series && d.series_number !== null) item["collection-number"] = d.series_number;
+    if (book.page_count) item["number-of-pages"] = book.page_count;
+    if (book.language) item.language = book.language;
+    item.ISBN = book.isbn;
+    return item;
+  }), null, 2) + "\n";
+}
+
+// The citation download formats, by the `format` query value that asks for them.
+const DOWNLOADS = {
+  bibtex: { extension: "bib", type: "application/x-bibtex; charset=utf-8", write: toBibtex },
+  ris: { extension: "ris", type: "application/x-research-info-systems; charset=utf-8", write: toRis },
+  csl: { extension: "json", type: "application/vnd.citationstyles.csl+json; charset=utf-8", write: toCslJson },
+};
+exports.CITATION_FORMATS = Object.keys(DOWNLOADS);
+
+// Send citations of `books` as a download in `format` (one of
+// CITATION_FORMATS), named `name` plus the format's extension.
+exports.sendCitations = (res, name, format, books) => {
+  const { extension, type, write } = DOWNLOADS[format];
+  res.attachment(`${name}.${extension}`);
+  res.type(type);
+  res.send(write(books));
+};
@@ -0,0 +1,66 @@
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+const sharp = require("sharp");
+const config = require("../config");
+
+// Where covers are stored (COVER_DIR, relative to the project root unless
+// absolute). Each cover is two files: the image as uploaded, without its
+// metadata, and a small WebP thumbnail for lists.
+const COVER_DIR = path.resolve(__dirname, "..", config.COVER_DIR);
+exports.COVER_DIR = COVER_DIR;
+
+// Largest upload accepted, and the accepted formats (as sharp names them)
+// with the extension each is stored under.
+exports.MAX_COVER_BYTES = 5 * 1024 * 1024;
+const FORMATS = { jpeg: "jpg", png: "png", webp: "webp" };
+
+// The thumbnail fits in this box, keeping the cover's proportions.
+const THUMBNAIL_SIZE = { width: 60, height: 90 };
+
+const thumbnailName = (name) => name.replace(/\.[^.]+$/, "") + "-thumb.webp";
+
+// URLs of a stored cover and its thumbnail (served by app.js).
+exports.coverUrl = (name) => "/covers/" + name;
+exports.thumbnailUrl = (name) => "/covers/" + thumbnailName(name);
+
+// Media type of a stored cover, from the extension it was stored under.
+exports.coverType = (name) => "image/" + name.split(".").pop().replace("jpg", "jpeg");
+
+// Why an uploaded image cannot be used as a cover, or null if it can. The
+// file itself is read: its name and declared type are not trusted.
+exports.coverProblem = async (buffer) => {
+  const metadata = await sharp(buffer).metadata().catch(() => null);
+  return metadata && FORMATS[metadata.format] ? null : "The cover must be a JPEG, PNG or WebP image.";
+};
+
+// Store an uploaded cover (checked with coverProblem) and its thumbnail.
+// Returns the stored file name, under a new random name.
+exports.saveCover = async (buffer) => {
+  const { format } = await sharp(buffer).metadata();
+  const name = crypto.randomBytes(12).toString("hex") + "." + FORMATS[format];
+  // Turn the image upright as the camera recorded it; this drops the metadata.
+  const image = sharp(buffer).rotate();
+  await fs.mkdir(COVER_DIR, { recursive: true });
+  await Promise.all([
+    image.clone().toFile(path.join(COVER_DIR, name)),
+    image.clone()
+      .resize({ ...THUMBNAIL_SIZE, fit: "inside", withoutEnlargement: true })
+      .webp()
+      .toFile(path.join(COVER_DIR, thumbnailName(name))),
+  ]);
+  return name;
+};
+
+// Whether a stored cover's file is still there.
+exports.coverExists = (name) =>
+  fs.access(path.join(COVER_DIR, path.basename(name))).then(() => true, () => false);
+
+// Delete a stored cover and its thumbnail. Files already gone are ignored.
+exports.removeCover = async (name) => {
+  for (const file of [name, thumbnailName(name)]) {
+    await fs.unlink(path.join(COVER_DIR, path.basename(file))).catch((err) => {
+      if (err.code !== "ENOENT") throw err;
+    });
+  }
+};
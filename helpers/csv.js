@@ -0,0 +1,40 @@
+const { parse } = require("csv-parse/sync");
+const { unescape } = require("./text");
+
+// Format one value as a CSV field, quoting it when needed (RFC 4180).
+function field(value) {
+  if (value === undefined || value === null) {
+    return "";
+  }
+  // Undo the escaping of stored text, so files round-trip through import.
+  const text = value instanceof Date ? value.toISOString().slice(0, 10) : unescape(String(value));
+  return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+// CSV text for `rows` (plain objects) with a header row of `columns`.
+exports.toCsv = (columns, rows) =>
+  [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((values, index) => values.map((value) => (index === 0 ? value : field(value))).join(","))
+    .join("\r\n") + "\r\n";
+
+// Send `rows` as a CSV download named `filename`.
+exports.sendCsv = (res, filename, columns, rows) => {
+  res.attachment(filename);
+  res.type("text/csv; charset=utf-8");
+  res.send(exports.toCsv(columns, rows));
+};
+
+// Parse CSV text with a header row into plain objects keyed by (trimmed,
+// lower-cased) column name. Throws a readable Error for malformed files.
+exports.parseCsv = (text) => {
+  try {
+    return parse(text, {
+      bom: true,
+      columns: (header) => header.map((name) => name.trim().toLowerCase()),
+      skip_empty_lines: true,
+      trim: true,
+    });
+  } catch (err) {
+    throw new Error("The file is not valid CSV: " + err.message);
+  }
+};
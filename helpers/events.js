@@ -0,0 +1,58 @@
+const { EventEmitter } = require("events");
+const crypto = require("crypto");
+
+// What the controllers announce after a change is saved. Other parts of the
+// app (webhooks, see models/webhookdelivery.js) subscribe to them rather
+// than the controllers calling them directly.
+const EVENT_TYPES = [
+  "book.created",
+  "book.updated",
+  "book.deleted",
+  "author.created",
+  "author.updated",
+  "author.deleted",
+  "genre.created",
+  "genre.updated",
+  "genre.deleted",
+  "bookinstance.created",
+  "bookinstance.updated",
+  "bookinstance.deleted",
+  "bookinstance.status_changed",
+  "loan.created",
+  "loan.returned",
+];
+exports.EVENT_TYPES = EVENT_TYPES;
+
+const bus = new EventEmitter();
+
+// Announce an event of `type` (one of EVENT_TYPES) about `data`: a record,
+// which is sent as the JSON API shows it, or a plain object of them.
+// Subscribers run once the current request has moved on, and their errors
+// are only logged, so announcing never holds up or breaks a response.
+exports.publish = (type, data) => {
+  if (!EVENT_TYPES.includes(type)) {
+    throw new Error(`Unknown event type "${type}"`);
+  }
+  const event = {
+    id: crypto.randomUUID(),
+    type,
+    occurred_at: new Date().toISOString(),
+    data: JSON.parse(JSON.stringify(data)),
+  };
+  setImmediate(() => {
+    for (const name of [type, "*"]) {
+      for (const listener of bus.listeners(name)) {
+        Promise.resolve()
+          .then(() => listener(event))
+          .catch((err) => console.log(err));
+      }
+    }
+  });
+  return event;
+};
+
+// Call `listener(event)` for every event of `type`, or of every type with "*".
+// An event is { id, type, occurred_at, data }.
+exports.subscribe = (type, listener) => {
+  bus.on(type, listener);
+};
@@ -0,0 +1,16 @@
+const ISBN = require("isbn3");
+
+// Canonical form of an ISBN: the 13 digits of its ISBN-13, no hyphens.
+// Accepts ISBN-10 or ISBN-13 with or without hyphens, spaces or an "ISBN"
+// prefix. Returns null unless the check digit is right.
+exports.normalizeIsbn = (value) => {
+  const text = String(value || "")
+    .trim()
+    .replace(/^ISBN(?:-1[03])?:?\s*/i, "");
+  const parsed = ISBN.parse(text);
+  return parsed && parsed.isValid ? parsed.isbn13 : null;
+};
+
+// Hyphenated ISBN-13 for display, e.g. "978-0-7564-1133-6". Values that are
+// not valid ISBNs are returned unchanged.
+exports.hyphenateIsbn = (isbn) => ISBN.hyphenate(isbn || "") || isbn;
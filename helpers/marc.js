@@ -0,0 +1,319 @@
+const { XMLParser } = require("fast-xml-parser");
+const { DateTime } = require("luxon");
+const { normalizeIsbn } = require("./isbn");
+const { unescape } = require("./text");
+
+// A MARC record here is { leader, fields }, each field either a control
+// field { tag, value } or a data field { tag, ind1, ind2, subfields: [{ code,
+// value }] }, in record order. Books map to MARC 21 bibliographic records:
+//
+//   001 book id                  264 _1 $b publisher $c year
+//   008 date entered, year, lang 300    $a page count
+//   020 $a ISBN                  490 0_ $a series $v number in series
+//   100 1_ first Author $e role  520    $a summary
+//   245 $a title                 650 _4 $a genre (subject)
+//   250 $a edition               700 1_ other contributors $e role
+//
+// Exports read stored (escaped) text back to what was typed in; imports
+// return plain text, for the book validators to escape like form input.
+
+const MARCXML_NAMESPACE = "http://www.loc.gov/MARC21/slim";
+
+// ISO 2709 delimiters: subfield, end of field, end of record.
+const SUBFIELD = "\x1f";
+const FIELD_END = "\x1e";
+const RECORD_END = "\x1d";
+
+// MARC language codes (ISO 639-2/B) of the ISO 639-1 codes books are stored with.
+const LANGUAGE_CODES = {
+  ar: "ara", ca: "cat", cs: "cze", cy: "wel", da: "dan", de: "ger", el: "gre", en: "eng",
+  eo: "epo", es: "spa", fi: "fin", fr: "fre", ga: "gle", he: "heb", hi: "hin", hu: "hun",
+  is: "ice", it: "ita", ja: "jpn", ko: "kor", la: "lat", nl: "dut", no: "nor", pl: "pol",
+  pt: "por", ro: "rum", ru: "rus", sv: "swe", tr: "tur", uk: "ukr", zh: "chi",
+};
+const LANGUAGES_BY_CODE = Object.fromEntries(Object.entries(LANGUAGE_CODES).map(([iso, marc]) => [marc, iso]));
+
+// Relator terms ($e) and codes ($4) of the contributor roles.
+const RELATORS = {
+  Author: { term: "author", code: "aut" },
+  Editor: { term: "editor", code: "edt" },
+  Translator: { term: "translator", code: "trl" },
+  Illustrator: { term: "illustrator", code: "ill" },
+  Contributor: { term: "contributor", code: "ctb" },
+};
+
+// Fields that say nothing about the book itself (the source's record number
+// and when it changed the record), so are not reported as unmapped.
+const IGNORED_TAGS = ["001", "003", "005"];
+
+const isControlTag = (tag) => tag < "010";
+
+// ISBD punctuation that MARC text fields end with, e.g. "Atheneum," or "Title /".
+const trimPunctuation = (text) => text.replace(/[\s/:;,=.]+$/, "").trim();
+
+// A personal name without its closing punctuation, keeping the full stop of
+// a final initial: "Le Guin, Ursula K.," is "Le Guin, Ursula K.".
+const trimName = (text) => text.replace(/[\s/:;,=]+$/, "").replace(/(?<!\b[A-Z])\.$/, "").trim();
+
+function dataField(tag, ind1, ind2, subfields) {
+  return {
+    tag,
+    ind1,
+    ind2,
+    subfields: subfields.filter(([, value]) => value !== undefined && value !== null && value !== "")
+      .map(([code, value]) => ({ code, value: unescape(String(value)) })),
+  };
+}
+
+// The MARC record for `book`, with `contributors.author` and `genre` populated.
+exports.bookToRecord = (book) => {
+  const credited = book.contributors.filter((contributor) => contributor.author);
+  const main = credited.find((contributor) => contributor.role === "Author");
+  const personalName = ({ author, role }) => [
+    ["a", `${author.family_name}, ${author.first_name}`],
+    ["d", author.date_of_birth ? `${author.date_of_birth.getFullYear()}-${author.date_of_death ? author.date_of_death.getFullYear() : ""}` : null],
+    ["e", RELATORS[role].term],
+    ["4", RELATORS[role].code],
+  ];
+
+  // 008: date entered, publication date and language; the rest left blank.
+  const entered = DateTime.fromJSDate(book._id.getTimestamp()).toFormat("yyMMdd");
+  const year = book.publication_year ? String(book.publication_year).padStart(4, "0") : "    ";
+  const fixed = entered + (book.publication_year ? "s" : "n") + year + " ".repeat(24)
+    + (LANGUAGE_CODES[book.language] || "   ") + " d";
+
+  const fields = [
+    { tag: "001", value: String(book._id) },
+    { tag: "008", value: fixed },
+    dataField("020", " ", " ", [["a", book.isbn]]),
+    ...(main ? [dataField("100", "1", " ", personalName(main))] : []),
+    dataField("245", main ? "1" : "0", "0", [["a", book.title]]),
+    ...(book.edition ? [dataField("250", " ", " ", [["a", book.edition]])] : []),
+    ...(book.publisher || book.publication_year
+      ? [dataField("264", " ", "1", [["b", book.publisher], ["c", book.publication_year]])]
+      : []),
+    ...(book.page_count ? [dataField("300", " ", " ", [["a", `${book.page_count} pages`]])] : []),
+    ...(book.series ? [dataField("490", "0", " ", [["a", book.series], ["v", book.series_number]])] : []),
+    dataField("520", " ", " ", [["a", book.summary]]),
+    ...book.genre.filter((genre) => genre.name).map((genre) => dataField("650", " ", "4", [["a", genre.name]])),
+    ...credited.filter((contributor) => contributor !== main).map((contributor) =>
+      dataField("700", "1", " ", personalName(contributor))),
+  ];
+  // Type a (language material), level m (monograph), UTF-8; lengths filled in by toMarc21.
+  return { leader: "00000nam a2200000 i 4500", fields };
+};
+
+// A book's fields, credits, subjects and unmapped fields from a MARC
+// record: { book, contributors: [{ name, role }], genres: [name], unmapped:
+// ["082 $a 813.54", ...] }. `book` holds only the fields found.
+exports.recordToBook = (record) => {
+  const book = {};
+  const contributors = [];
+  const genres = [];
+  const unmapped = [];
+  const first = (field, code) => {
+    const subfield = field.subfields.find((s) => s.code === code);
+    return subfield ? subfield.value.trim() : "";
+  };
+  const role = (field) => {
+    const term = trimPunctuation(first(field, "e")).toLowerCase();
+    const code = first(field, "4");
+    const found = Object.entries(RELATORS).find(([, relator]) => relator.term === term || relator.code === code);
+    return found ? found[0] : null;
+  };
+
+  for (const field of record.fields) {
+    switch (field.tag) {
+      case "008":
+        if (LANGUAGES_BY_CODE[field.value.slice(35, 38)]) book.language = LANGUAGES_BY_CODE[field.value.slice(35, 38)];
+        if (!book.publication_year && /^\d{4}$/.test(field.value.slice(7, 11))) book.publication_year = field.value.slice(7, 11);
+        break;
+      case "020": {
+        // The first valid ISBN; others are usually other bindings of the book.
+        const isbn = normalizeIsbn(first(field, "a").split(/\s/)[0]);
+        if (isbn && !book.isbn) book.isbn = isbn;
+        break;
+      }
+      case "100":
+      case "700":
+        contributors.push({
+          name: trimName(first(field, "a")),
+          role: role(field) || (field.tag === "100" ? "Author" : "Contributor"),
+        });
+        break;
+      case "245":
+        book.title = [first(field, "a"), first(field, "b")].map(trimPunctuation).filter(Boolean).join(": ");
+        break;
+      case "250":
+        book.edition = trimPunctuation(first(field, "a"));
+        break;
+      case "260":
+      case "264":
+        if (first(field, "b")) book.publisher = trimPunctuation(first(field, "b"));
+        if (/\d{4}/.test(first(field, "c"))) book.publication_year = first(field, "c").match(/\d{4}/)[0];
+        break;
+      case "300":
+        if (/\d+/.test(first(field, "a"))) book.page_count = first(field, "a").match(/\d+/)[0];
+        break;
+      case "490":
+        book.series = trimPunctuation(first(field, "a"));
+        if (/\d+(?:\.\d+)?/.test(first(field, "v"))) book.series_number = first(field, "v").match(/\d+(?:\.\d+)?/)[0];
+        break;
+      case "520":
+        book.summary = first(field, "a");
+        break;
+      case "650":
+      case "655":
+        genres.push(trimPunctuation(first(field, "a")));
+        break;
+      default:
+        if (!IGNORED_TAGS.includes(field.tag)) {
+          unmapped.push(field.tag + " " + (isControlTag(field.tag)
+            ? field.value
+            : field.subfields.map(({ code, value }) => `$${code} ${value}`).join(" ")));
+        }
+    }
+  }
+  return { book, contributors, genres: [...new Set(genres.filter(Boolean))], unmapped };
+};
+
+const XML_ENTITIES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" };
+
+function escapeXml(text) {
+  return text.replace(/[&<>"']/g, (c) => XML_ENTITIES[c]);
+}
+
+// MARCXML text of a collection of records.
+exports.toMarcXml = (records) => {
+  const lines = ['<?xml version="1.0" encoding="UTF-8"?>', `<collection xmlns="${MARCXML_NAMESPACE}">`];
+  for (const { leader, fields } of records) {
+    lines.push("  <record>", `    <leader>${escapeXml(leader)}</leader>`);
+    for (const field of fields) {
+      if (isControlTag(field.tag)) {
+        lines.push(`    <controlfield tag="${field.tag}">${escapeXml(field.value)}</controlfield>`);
+      } else {
+        lines.push(`    <datafield tag="${field.tag}" ind1="${field.ind1}" ind2="${field.ind2}">`);
+        for (const { code, value } of field.subfields) {
+          lines.push(`      <subfield code="${code}">${escapeXml(value)}</subfield>`);
+        }
+        lines.push("    </datafield>");
+      }
+    }
+    lines.push("  </record>");
+  }
+  lines.push("</collection>", "");
+  return lines.join("\n");
+};
+
+// Binary MARC 21 (ISO 2709, UTF-8) of a collection of records.
+exports.toMarc21 = (records) => Buffer.concat(records.map(({ leader, fields }) => {
+  const data = fields.map((field) => Buffer.from((isControlTag(field.tag)
+    ? field.value
+    : field.ind1 + field.ind2 + field.subfields.map(({ code, value }) => SUBFIELD + code + value).join("")) + FIELD_END));
+  let start = 0;
+  const directory = fields.map((field, index) => {
+    const entry = field.tag + String(data[index].length).padStart(4, "0") + String(start).padStart(5, "0");
+    start += data[index].length;
+    return entry;
+  }).join("") + FIELD_END;
+  const baseAddress = 24 + directory.length;
+  const length = baseAddress + start + 1;
+  return Buffer.concat([
+    Buffer.from(String(length).padStart(5, "0") + leader.slice(5, 12) + String(baseAddress).padStart(5, "0") + leader.slice(17)),
+    Buffer.from(directory),
+    ...data,
+    Buffer.from(RECORD_END),
+  ]);
+}));
+
+// Records from binary MARC 21. Throws a readable Error for malformed files.
+exports.parseMarc21 = (buffer) => {
+  const records = [];
+  let offset = 0;
+  while (offset < buffer.length) {
+    const end = buffer.indexOf(RECORD_END, offset);
+    const raw = buffer.subarray(offset, end === -1 ? buffer.length : end);
+    offset = end === -1 ? buffer.length : end + 1;
+    if (raw.toString("latin1").trim() === "") continue; // Trailing newlines.
+
+    const leader = raw.subarray(0, 24).toString("latin1");
+    const baseAddress = parseInt(leader.slice(12, 17), 10);
+    if (!/^\d{5}$/.test(leader.slice(0, 5)) || !(baseAddress > 24) || baseAddress > raw.length) {
+      throw new Error(`Record ${records.length + 1} is not a MARC 21 record.`);
+    }
+    const directory = raw.subarray(24, baseAddress - 1).toString("latin1");
+    const fields = [];
+    for (let i = 0; i + 12 <= directory.length; i += 12) {
+      const tag = directory.slice(i, i + 3);
+      const length = parseInt(directory.slice(i + 3, i + 7), 10);
+      const start = baseAddress + parseInt(directory.slice(i + 7, i + 12), 10);
+      const text = raw.subarray(start, start + length).toString("utf8").replace(/\x1e$/, "");
+      if (isControlTag(tag)) {
+        fields.push({ tag, value: text });
+      } else {
+        const [indicators, ...subfields] = text.split(SUBFIELD);
+        fields.push({
+          tag,
+          ind1: indicators[0] || " ",
+          ind2: indicators[1] || " ",
+          subfields: subfields.map((subfield) => ({ code: subfield[0], value: subfield.slice(1) })),
+        });
+      }
+    }
+    records.push({ leader, fields });
+  }
+  return records;
+};
+
+// Records from MARCXML: a <collection> of <record>s, or a single <record>,
+// with or without a namespace prefix. Throws a readable Error for malformed files.
+exports.parseMarcXml = (text) => {
+  const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: "",
+    removeNSPrefix: true,
+    parseTagValue: false,
+    trimValues: false,
+    htmlEntities: true, // Numeric character references, e.g. "&#233;".
+    isArray: (name) => ["record", "controlfield", "datafield", "subfield"].includes(name),
+  });
+  let document;
+  try {
+    document = parser.parse(text, true);
+  } catch (err) {
+    throw new Error("The file is not valid XML: " + (err.err ? err.err.msg : err.message));
+  }
+  const records = document.collection ? document.collection.record || [] : document.record;
+  if (!records) {
+    throw new Error("The file is not MARCXML: it has no <collection> or <record>.");
+  }
+  const textOf = (node) => (typeof node === "object" ? node["#text"] || "" : String(node ?? ""));
+  return records.map((record) => ({
+    leader: textOf(record.leader),
+    fields: [
+      ...(record.controlfield || []).map((field) => ({ tag: field.tag, value: textOf(field) })),
+      ...(record.datafield || []).map((field) => ({
+        tag: field.tag,
+        ind1: field.ind1 || " ",
+        ind2: field.ind2 || " ",
+        subfields: (field.subfield || []).map((subfield) => ({ code: subfield.code, value: textOf(subfield) })),
+      })),
+    ],
+  }));
+};
+
+// The MARC download formats, by the `format` query value that asks for them.
+const DOWNLOADS = {
+  marcxml: { extension: "xml", type: "application/marcxml+xml", write: exports.toMarcXml },
+  marc: { extension: "mrc", type: "application/marc", write: exports.toMarc21 },
+};
+exports.MARC_FORMATS = Object.keys(DOWNLOADS);
+
+// Send `books` (populated as bookToRecord needs) as a download in `format`
+// (one of MARC_FORMATS), named `name` plus the format's extension.
+exports.sendMarc = (res, name, format, books) => {
+  const { extension, type, write } = DOWNLOADS[format];
+  res.attachment(`${name}.${extension}`);
+  res.type(type);
+  res.send(write(books.map(exports.bookToRecord)));
+};
@@ -0,0 +1,17 @@
+// Entities written by express-validator's escape(), which every stored text
+// field goes through. Anything that leaves the app as other than HTML
+// (exports, feeds) undoes them first.
+const ESCAPED_ENTITIES = {
+  "&amp;": "&",
+  "&lt;": "<",
+  "&gt;": ">",
+  "&quot;": '"',
+  "&#x27;": "'",
+  "&#x2F;": "/",
+  "&#x5C;": "\\",
+  "&#96;": "`",
+};
+
+// Stored text as it was typed in.
+exports.unescape = (value) =>
+  value.replace(/&(?:amp|lt|gt|quot|#x27|#x2F|#x5C|#96);/g, (entity) => ESCAPED_ENTITIES[entity]);
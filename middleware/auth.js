@@ -0,0 +1,74 @@
+const asyncHandler = require("express-async-handler");
+const createError = require("http-errors");
+const { Session } = require("../repositories");
+const { withAuditContext } = require("../helpers/auditContext");
+
+// Name of the signed cookie that carries the session token.
+const SESSION_COOKIE = "sid";
+
+// Look up the session cookie and expose the logged-in user, if any, as
+// `req.user` and to every view as `currentUser`.
+exports.loadUser = asyncHandler(async (req, res, next) => {
+  req.user = null;
+  const token = req.signedCookies[SESSION_COOKIE];
+  if (token) {
+    const session = await Session.findByToken(token);
+    if (session !== null && session.user) {
+      req.user = session.user;
+    } else {
+      res.clearCookie(SESSION_COOKIE);
+    }
+  }
+  res.locals.currentUser = req.user;
+  // Everything this request changes is recorded as done by this user.
+  withAuditContext({ actor: req.user }, next);
+});
+
+// Start a session for `user` and set its cookie.
+exports.logIn = async (req, res, user) => {
+  const { token, expires } = await Session.start(user._id);
+  res.cookie(SESSION_COOKIE, token, {
+    signed: true,
+    httpOnly: true,
+    sameSite: "lax",
+    secure: req.app.get("env") === "production",
+    expires,
+  });
+  req.user = user;
+  res.locals.currentUser = user;
+};
+
+// End the current session and clear its cookie.
+exports.logOut = async (req, res) => {
+  const token = req.signedCookies[SESSION_COOKIE];
+  if (token) {
+    await Session.end(token);
+  }
+  res.clearCookie(SESSION_COOKIE);
+  req.user = null;
+  res.locals.currentUser = null;
+};
+
+// True if the request comes from library staff, for views that show staff-only links.
+exports.isStaff = (req) => !!req.user && req.user.hasRole("librarian");
+
+// Only let logged-in users through. Anonymous requests fail with a 401,
+// which the error handlers turn into a login redirect (pages) or JSON (API).
+exports.requireLogin = (req, _res, next) => {
+  if (!req.user) {
+    return next(createError(401, "You must be logged in to do that."));
+  }
+  next();
+};
+
+// Only let users with `role` (or a more privileged one) through; anyone
+// else who is logged in gets a 403.
+exports.requireRole = (role) => (req, _res, next) => {
+  if (!req.user) {
+    return next(createError(401, "You must be logged in to do that."));
+  }
+  if (!req.user.hasRole(role)) {
+    return next(createError(403, "You do not have permission to do that."));
+  }
+  next();
+};
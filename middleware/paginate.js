@@ -0,0 +1,63 @@
+// Page size used when the request does not ask for one.
+const DEFAULT_LIMIT = 20;
+// Largest page size a request may ask for.
+const MAX_LIMIT = 100;
+
+// Read `page`, `limit` and `sort` from the query string into `req.pagination`.
+// `sorts` maps the sort keys a list accepts to Mongoose sort objects; an unknown
+// key falls back to `defaultSort`.
+exports.paginate = ({ sorts, defaultSort }) => (req, _res, next) => {
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(
+    MAX_LIMIT,
+    Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_LIMIT),
+  );
+  const sortKey = Object.hasOwn(sorts, req.query.sort) ? req.query.sort : defaultSort;
+
+  req.pagination = {
+    page,
+    limit,
+    skip: (page - 1) * limit,
+    sortKey,
+    sort: sorts[sortKey].sort,
+    sorts,
+  };
+  next();
+};
+
+// Everything the pagination view needs once the total number of matches is
+// known. `href(changes)` links to this list with the current query string
+// (filters included) plus `changes`; changing anything but the page goes back to page 1.
+exports.pager = (req, total) => {
+  const { limit, sortKey, sorts } = req.pagination;
+  const pages = Math.max(1, Math.ceil(total / limit));
+  const page = Math.min(req.pagination.page, pages);
+
+  const href = (changes) => {
+    const params = new URLSearchParams();
+    const merged = { ...req.query, sort: sortKey, ...changes };
+    if (!Object.hasOwn(changes, "page")) {
+      delete merged.page;
+    }
+    for (const [key, value] of Object.entries(merged)) {
+      if (value !== undefined && value !== null && value !== "" && !(key === "page" && value === 1)) {
+        params.set(key, value);
+      }
+    }
+    const search = params.toString();
+    return req.baseUrl + req.path + (search ? "?" + search : "");
+  };
+
+  return {
+    page,
+    pages,
+    limit,
+    total,
+    first: total === 0 ? 0 : (page - 1) * limit + 1,
+    last: Math.min(total, page * limit),
+    sort: sortKey,
+    sort_options: Object.entries(sorts).map(([key, { label }]) => ({ key, label })),
+    query: req.query,
+    href,
+  };
+};
@@ -0,0 +1,16 @@
+// Add `res.renderPage(view, locals, page)`, which renders `view` and places
+// it in layout.ejs. The layout's title defaults to `locals.title`; `page`
+// can override it and pass anything else the layout uses, such as `head`
+// (extra markup for <head>). A template error is passed to the error
+// handler, which answers with a 500, instead of leaving the request hanging.
+exports.renderPage = (req, res, next) => {
+  res.renderPage = (view, locals = {}, page = {}) => {
+    res.render(view, locals, (err, content) => {
+      if (err) {
+        return req.next(err);
+      }
+      res.render("layout", { title: locals.title, head: "", ...page, content });
+    });
+  };
+  next();
+};
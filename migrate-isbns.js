@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+const Book = require("./models/book");
+const { normalizeIsbn } = require("./helpers/isbn");
+const config = require("./config");
+const { mongoose } = require("mongoose");
+
+console.log(
+  'This script rewrites every book ISBN to its canonical ISBN-13 form and lists the ones that need fixing by hand before the unique index can be built. Connects to MONGODB_URI from the configuration (see .env.example) - e.g.: MONGODB_URI="mongodb://127.0.0.1:27017/local_library" node migrate-isbns'
+);
+
+mongoose.set("strictQuery", false);
+
+const mongoDB = config.MONGODB_URI;
+
+main().catch((err) => console.log(err));
+
+async function main() {
+  console.log("Debug: About to connect");
+  await mongoose.connect(mongoDB);
+  console.log("Debug: Is connected");
+
+  // Books in the trash too: they keep their ISBN, and the index, until purged.
+  const books = await Book.find({}, "title isbn").withTrashed().lean().exec();
+  const seen = new Map();
+  let updated = 0;
+  let problems = 0;
+
+  for (const book of books) {
+    const isbn = normalizeIsbn(book.isbn);
+    if (isbn === null) {
+      problems++;
+      console.log(`Invalid ISBN "${book.isbn}": ${book.title} (${book._id})`);
+      continue;
+    }
+    if (seen.has(isbn)) {
+      problems++;
+      const first = seen.get(isbn);
+      console.log(`Duplicate ISBN ${isbn}: ${book.title} (${book._id}) and ${first.title} (${first._id})`);
+      continue;
+    }
+    seen.set(isbn, book);
+    if (isbn !== book.isbn) {
+      // Skip validation: the index is what we are about to build.
+      await Book.updateOne({ _id: book._id }, { isbn }, { runValidators: false }).withTrashed().exec();
+      updated++;
+    }
+  }
+
+  console.log(`Normalized ${updated} of ${books.length} ISBNs; ${problems} need fixing by hand.`);
+  if (problems === 0) {
+    await Book.syncIndexes();
+    console.log("Debug: Unique ISBN index is in place");
+  }
+  console.log("Debug: Closing mongoose");
+  mongoose.connection.close();
+}
@@ -0,0 +1,45 @@
+const { auditContext } = require("../helpers/auditContext");
+
+const UPDATE_OPS = ["findOneAndUpdate", "updateOne", "updateMany"];
+const DELETE_OPS = ["findOneAndDelete", "findOneAndRemove", "deleteOne", "deleteMany"];
+
+// Mongoose plugin: record every create, update and delete of the schema's
+// documents in the audit log (models/auditentry.js), whether it is made with
+// save() or with a query such as findByIdAndUpdate(). The state before the
+// change is read in the pre hook, along with the request's audit context,
+// and compared with the stored state in the post hook. Both reads include
+// records in the trash (see models/trashable.js).
+module.exports = function audited(schema) {
+  schema.pre("save", async function () {
+    this.$locals.audit = {
+      context: auditContext(),
+      before: this.isNew ? null : await this.constructor.findById(this._id).withTrashed().lean().exec(),
+    };
+  });
+
+  schema.post("save", async function (doc) {
+    const { context, before } = doc.$locals.audit;
+    const AuditEntry = doc.constructor.db.model("AuditEntry");
+    await AuditEntry.record(doc.constructor.modelName, before, doc.toObject({ depopulate: true }), context);
+  });
+
+  schema.pre([...UPDATE_OPS, ...DELETE_OPS], { document: false, query: true }, async function () {
+    const query = this.model.find(this.getFilter()).withTrashed().lean();
+    if (!this.op.endsWith("Many")) {
+      const { sort } = this.getOptions();
+      if (sort) query.sort(sort);
+      query.limit(1);
+    }
+    this._audit = { context: auditContext(), before: await query.exec() };
+  });
+
+  schema.post([...UPDATE_OPS, ...DELETE_OPS], { document: false, query: true }, async function () {
+    const AuditEntry = this.model.db.model("AuditEntry");
+    for (const before of this._audit.before) {
+      const after = await this.model.findById(before._id).withTrashed().lean().exec();
+      if (DELETE_OPS.includes(this.op) ? after === null : after !== null) {
+        await AuditEntry.record(this.model.modelName, before, after, this._audit.context);
+      }
+    }
+  });
+};
@@ -0,0 +1,86 @@
+const { Schema, model } = require("mongoose");
+const { DateTime } = require("luxon"); // for date handling
+
+// Models whose changes are recorded (each applies models/audited.js).
+const AUDITED_MODELS = ["Book", "Author", "Genre", "BookInstance"];
+
+// Bookkeeping fields left out of diffs and snapshots.
+const IGNORED_FIELDS = ["_id", "__v"];
+
+// One create, update or delete of an audited record. `changes` is the
+// field-level diff; `snapshot` is the whole record after the change (or just
+// before it, for a delete) so the record can be reverted to this version.
+const AuditEntrySchema = new Schema({
+  target_model: { type: String, required: true, enum: AUDITED_MODELS },
+  target: { type: Schema.ObjectId, required: true, refPath: "target_model" },
+  action: { type: String, required: true, enum: ["create", "update", "delete"] },
+  changes: [{ _id: false, field: String, from: Schema.Types.Mixed, to: Schema.Types.Mixed }],
+  snapshot: { type: Schema.Types.Mixed, required: true },
+  actor: { type: Schema.ObjectId, ref: "User" }, // Unset for changes made by the app itself.
+  actor_name: { type: String }, // Kept in case the account is deleted later.
+  reverted_to: { type: Schema.ObjectId, ref: "AuditEntry" }, // Set when this change was a revert.
+  timestamp: { type: Date, required: true, default: Date.now },
+});
+
+AuditEntrySchema.index({ target: 1, timestamp: -1 });
+
+AuditEntrySchema.virtual("timestamp_formatted").get(function () {
+  return DateTime.fromJSDate(this.timestamp).toLocaleString(DateTime.DATETIME_MED);
+});
+
+AuditEntrySchema.virtual("actor_display").get(function () {
+  return this.actor_name || "system";
+});
+
+// Copy of a record without its bookkeeping fields.
+function snapshotOf(record) {
+  const snapshot = { ...record };
+  IGNORED_FIELDS.forEach((field) => delete snapshot[field]);
+  return snapshot;
+}
+
+// Compare field values by their JSON form, so ObjectIds, Dates and arrays of
+// them compare by value. A missing field equals null.
+function sameValue(a, b) {
+  return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+}
+
+// Field-level differences between two plain records.
+function diff(before, after) {
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...fields]
+    .filter((field) => !IGNORED_FIELDS.includes(field) && !sameValue(before[field], after[field]))
+    .map((field) => ({ field, from: before[field], to: after[field] }));
+}
+
+// Record the change from `before` to `after` (plain records; null before a
+// create or after a delete) to a `targetModel` record. `context` is the audit
+// context captured when the change was made. Updates that changed nothing
+// are not recorded.
+AuditEntrySchema.statics.record = async function (targetModel, before, after, context = {}) {
+  const action = before === null ? "create" : after === null ? "delete" : "update";
+  const changes = diff(before || {}, after || {});
+  if (action === "update" && changes.length === 0) {
+    return null;
+  }
+  return this.create({
+    target_model: targetModel,
+    target: (after || before)._id,
+    action,
+    changes,
+    snapshot: snapshotOf(after || before),
+    actor: context.actor ? context.actor._id : undefined,
+    actor_name: context.actor ? context.actor.username : undefined,
+    reverted_to: context.reverted_to,
+  });
+};
+
+// A record's history, newest first.
+AuditEntrySchema.statics.historyFor = function (targetId) {
+  return this.find({ target: targetId }).sort({ timestamp: -1, _id: -1 }).exec();
+};
+
+AuditEntrySchema.statics.AUDITED_MODELS = AUDITED_MODELS;
+
+// Export model.
+module.exports = model("AuditEntry", AuditEntrySchema);
@@ -1,5 +1,7 @@
 const { Schema, model } = require("mongoose");
 const { DateTime } = require("luxon"); // for date handling
+const trashable = require("./trashable");
+const audited = require("./audited");
 
 const AuthorSchema = new Schema({
   first_name: { type: String, required: true, maxLength: 100 },
@@ -42,5 +44,11 @@ AuthorSchema.virtual("date_of_death_yyyy_mm_dd").get(function () {
   return DateTime.fromJSDate(this.date_of_death).toISODate(); // format 'YYYY-MM-DD'
 });
 
+// Deletes move records to the trash.
+AuthorSchema.plugin(trashable);
+
+// Record every change (including trashing) in the audit log.
+AuthorSchema.plugin(audited);
+
 // Export model.
 module.exports = model("Author", AuthorSchema);
\ No newline at end of file
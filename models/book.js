@@ -1,11 +1,51 @@
 const { Schema, model } = require("mongoose");
+const { normalizeIsbn, hyphenateIsbn } = require("../helpers/isbn");
+const { coverUrl, coverType, thumbnailUrl, removeCover } = require("../helpers/covers");
+const trashable = require("./trashable");
+const audited = require("./audited");
+
+const LANGUAGE_NAMES = new Intl.DisplayNames(["en"], { type: "language" });
+
+// The parts a person can play in making a book.
+const CONTRIBUTOR_ROLES = ["Author", "Editor", "Translator", "Illustrator", "Contributor"];
+
+// One person credited on a book, in the role they played.
+const ContributorSchema = new Schema({
+  author: { type: Schema.ObjectId, ref: "Author", required: true },
+  role: { type: String, required: true, enum: CONTRIBUTOR_ROLES, default: "Author" },
+}, { _id: false });
 
 const BookSchema = new Schema({
   title: { type: String, required: true },
-  author: { type: Schema.ObjectId, ref: "Author", required: true },
+  // Everyone credited on the book, in the order they are credited.
+  contributors: {
+    type: [ContributorSchema],
+    validate: {
+      validator: (contributors) => contributors.length > 0,
+      message: "A book needs at least one contributor.",
+    },
+  },
   summary: { type: String, required: true },
-  isbn: { type: String, required: true },
+  // Canonical ISBN-13, digits only (see helpers/isbn.js).
+  isbn: {
+    type: String,
+    required: true,
+    unique: true,
+    validate: {
+      validator: (value) => normalizeIsbn(value) === value,
+      message: "ISBN must be a valid ISBN-13 without hyphens.",
+    },
+  },
   genre: [{ type: Schema.ObjectId, ref: "Genre" }],
+  // Publication details, all optional.
+  publisher: { type: String, maxLength: 100 },
+  publication_year: { type: Number, min: 0, max: 9999 },
+  edition: { type: String, maxLength: 50 }, // e.g. "2nd", "Revised".
+  language: { type: String, match: /^[a-z]{2}$/ }, // ISO 639-1 code, e.g. "en".
+  page_count: { type: Number, min: 1 },
+  series: { type: String, maxLength: 100 },
+  series_number: { type: Number, min: 0 }, // Place in the series; 1.5 falls between 1 and 2.
+  cover: { type: String }, // Stored file name (see helpers/covers.js).
 });
 
 // Virtual for this book instance URL.
@@ -13,5 +53,139 @@ BookSchema.virtual("url").get(function () {
   return "/catalog/book/" + this._id;
 });
 
+// Virtual for the page listing every volume of this book's series.
+BookSchema.virtual("series_url").get(function () {
+  return this.series ? "/catalog/series/" + encodeURIComponent(this.series) : "";
+});
+
+// Virtual for the series and place in it, e.g. "Earthsea #2".
+BookSchema.virtual("series_label").get(function () {
+  if (!this.series) return "";
+  return this.series_number === undefined || this.series_number === null
+    ? this.series
+    : `${this.series} #${this.series_number}`;
+});
+
+// Virtual for the language's English name, e.g. "French" for "fr".
+BookSchema.virtual("language_name").get(function () {
+  return this.language ? LANGUAGE_NAMES.of(this.language) : "";
+});
+
+// Virtuals for the cover image, its thumbnail and its media type.
+BookSchema.virtual("cover_url").get(function () {
+  return this.cover ? coverUrl(this.cover) : "";
+});
+
+BookSchema.virtual("cover_thumbnail_url").get(function () {
+  return this.cover ? thumbnailUrl(this.cover) : "";
+});
+
+BookSchema.virtual("cover_type").get(function () {
+  return this.cover ? coverType(this.cover) : "";
+});
+
+// Virtual for the ISBN hyphenated for display.
+BookSchema.virtual("isbn_formatted").get(function () {
+  return hyphenateIsbn(this.isbn);
+});
+
+BookSchema.index({ "contributors.author": 1 });
+BookSchema.index({ series: 1, series_number: 1 });
+
+// Virtual for the credits as text, e.g. "Tolkien, Christopher (Editor)".
+// Needs `contributors.author` populated.
+BookSchema.virtual("byline").get(function () {
+  return this.contributors
+    .filter((contributor) => contributor.author)
+    .map(({ author, role }) => (role === "Author" ? author.name : `${author.name} (${role})`))
+    .join("; ");
+});
+
+// Find the book that already has `isbn`, other than the one with id `exceptId`.
+// Books in the trash count, since they keep their ISBN until purged.
+BookSchema.statics.findByIsbn = function (isbn, exceptId) {
+  const filter = { isbn };
+  if (exceptId) filter._id = { $ne: exceptId };
+  return this.findOne(filter).withTrashed().exec();
+};
+
+// Credit `toId` wherever `fromId` was credited, on every book (trashed ones
+// included), without crediting anyone twice in the same role.
+BookSchema.statics.replaceContributor = async function (fromId, toId) {
+  const books = await this.find({ "contributors.author": fromId }).withTrashed().exec();
+  for (const book of books) {
+    const seen = new Set();
+    const contributors = [];
+    for (const { author, role } of book.contributors) {
+      const id = author.equals(fromId) ? toId : author;
+      if (!seen.has(`${id}:${role}`)) {
+        seen.add(`${id}:${role}`);
+        contributors.push({ author: id, role });
+      }
+    }
+    await this.findByIdAndUpdate(book._id, { contributors }).withTrashed().exec();
+  }
+  return books.length;
+};
+
+// Move books saved when a book had one `author` to a one-entry contributors
+// list, along with the versions kept in their history. Runs at startup;
+// returns how many books were moved. Works on the stored documents directly,
+// since `author` is no longer part of the schema.
+BookSchema.statics.migrateContributors = async function () {
+  const legacy = await this.collection.find({ author: { $exists: true } }).toArray();
+  for (const book of legacy) {
+    await this.collection.updateOne(
+      { _id: book._id },
+      { $set: { contributors: [{ author: book.author, role: "Author" }] }, $unset: { author: "" } },
+    );
+  }
+  const versions = this.db.model("AuditEntry").collection;
+  const entries = await versions
+    .find({ target_model: "Book", "snapshot.author": { $exists: true } })
+    .toArray();
+  for (const entry of entries) {
+    await versions.updateOne(
+      { _id: entry._id },
+      {
+        $set: { "snapshot.contributors": [{ author: entry.snapshot.author, role: "Author" }] },
+        $unset: { "snapshot.author": "" },
+      },
+    );
+  }
+  return legacy.length;
+};
+
+BookSchema.statics.CONTRIBUTOR_ROLES = CONTRIBUTOR_ROLES;
+
+// Deletes move records to the trash.
+BookSchema.plugin(trashable);
+
+// Record every change (including trashing) in the audit log.
+BookSchema.plugin(audited);
+
+// Purging a book for good removes its cover files too: its cover and the
+// ones it had before, kept until now so its history could revert to them.
+// Trashed books keep theirs, so a restored book gets its cover back.
+BookSchema.pre(["findOneAndDelete", "deleteMany"], { document: false, query: true }, async function () {
+  const query = this.model.find(this.getFilter(), "cover").withTrashed();
+  if (this.op === "findOneAndDelete") {
+    const { sort } = this.getOptions();
+    if (sort) query.sort(sort);
+    query.limit(1);
+  }
+  const books = await query.exec();
+  const earlierCovers = await this.model.db.model("AuditEntry")
+    .distinct("snapshot.cover", { target_model: "Book", target: { $in: books.map((book) => book._id) } })
+    .exec();
+  this._covers = [...new Set([...books.map((book) => book.cover), ...earlierCovers].filter(Boolean))];
+});
+
+BookSchema.post(["findOneAndDelete", "deleteMany"], { document: false, query: true }, async function () {
+  for (const cover of this._covers) {
+    await removeCover(cover);
+  }
+});
+
 // Export model.
 module.exports = model("Book", BookSchema);
\ No newline at end of file
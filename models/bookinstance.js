@@ -1,5 +1,8 @@
 const { Schema, model } = require("mongoose");
 const { DateTime } = require("luxon"); // for date handling
+const Fine = require("./fine");
+const trashable = require("./trashable");
+const audited = require("./audited");
 
 const BookInstanceSchema = new Schema({
   book: { type: Schema.ObjectId, ref: "Book", required: true }, // Reference to the associated book.
@@ -11,13 +14,41 @@ const BookInstanceSchema = new Schema({
     default: "Maintenance",
   },
   due_back: { type: Date, default: Date.now },
+  patron: { type: Schema.ObjectId, ref: "Patron" }, // Current borrower while Loaned.
 });
 
+// The statuses staff may set by hand. A copy only becomes Loaned by being
+// checked out and Reserved by the hold queue, and leaves them by being
+// returned or by its hold ending, so the Loan and Hold records stay right.
+const EDITABLE_STATUSES = ["Available", "Maintenance"];
+
+// List pages filter copies by status and sort them by due date.
+BookInstanceSchema.index({ status: 1, due_back: 1 });
+
 // Virtual for this bookinstance object's URL.
 BookInstanceSchema.virtual("url").get(function () {
   return "/catalog/bookinstance/" + this._id;
 });
 
+// True while the copy's status belongs to a loan or a hold.
+BookInstanceSchema.virtual("in_circulation").get(function () {
+  return !EDITABLE_STATUSES.includes(this.status);
+});
+
+// A copy is overdue while it is still on loan after the end of its due date.
+BookInstanceSchema.virtual("is_overdue").get(function () {
+  return this.status === "Loaned" && !!this.due_back && this.due_back < new Date();
+});
+
+BookInstanceSchema.virtual("days_overdue").get(function () {
+  return this.is_overdue ? Fine.daysOverdue(this.due_back) : 0;
+});
+
+// Fine in cents the current borrower would owe if the copy came back today.
+BookInstanceSchema.virtual("fine_due").get(function () {
+  return Fine.amountFor(this.days_overdue);
+});
+
 BookInstanceSchema.virtual("due_back_formatted").get(function () {
   return DateTime.fromJSDate(this.due_back).toLocaleString(DateTime.DATE_MED);
 });
@@ -26,5 +57,13 @@ BookInstanceSchema.virtual("due_back_yyyy_mm_dd").get(function () {
   return DateTime.fromJSDate(this.due_back).toISODate(); // format 'YYYY-MM-DD'
 });
 
+BookInstanceSchema.statics.EDITABLE_STATUSES = EDITABLE_STATUSES;
+
+// Deletes move records to the trash.
+BookInstanceSchema.plugin(trashable);
+
+// Record every change (including trashing) in the audit log.
+BookInstanceSchema.plugin(audited);
+
 // Export model.
 module.exports = model("BookInstance", BookInstanceSchema);
\ No newline at end of file
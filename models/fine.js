@@ -0,0 +1,72 @@
+const { Schema, model } = require("mongoose");
+const { DateTime } = require("luxon"); // for date handling
+const config = require("../config");
+
+// Overdue fine policy. Amounts are in cents; see FINE_* in config/index.js.
+const FINE_POLICY = {
+  per_day: config.FINE_PER_DAY_CENTS,
+  max_per_loan: config.FINE_MAX_PER_LOAN_CENTS,
+  grace_days: config.FINE_GRACE_DAYS,
+};
+
+// One line in a patron's fines ledger. The balance is what was Accrued
+// minus what was Paid or Waived.
+const FineSchema = new Schema({
+  patron: { type: Schema.ObjectId, ref: "Patron", required: true },
+  loan: { type: Schema.ObjectId, ref: "Loan" }, // The overdue loan an accrual is for.
+  type: {
+    type: String,
+    required: true,
+    enum: ["Accrued", "Paid", "Waived"],
+  },
+  amount: { type: Number, required: true, min: 1 }, // In cents, always positive.
+  date: { type: Date, required: true, default: Date.now },
+  note: { type: String, maxLength: 500 },
+});
+
+FineSchema.index({ patron: 1, date: 1 });
+
+FineSchema.virtual("amount_formatted").get(function () {
+  return formatCents(this.amount);
+});
+
+FineSchema.virtual("date_formatted").get(function () {
+  return DateTime.fromJSDate(this.date).toLocaleString(DateTime.DATE_MED);
+});
+
+// Whole days between a due date and `at` (0 if not yet due).
+FineSchema.statics.daysOverdue = function (due_back, at = new Date()) {
+  if (!due_back || at <= due_back) {
+    return 0;
+  }
+  return Math.ceil(
+    DateTime.fromJSDate(at).diff(DateTime.fromJSDate(due_back), "days").days,
+  );
+};
+
+// Fine in cents for a loan that is `days` overdue, after grace days and the per-loan cap.
+FineSchema.statics.amountFor = function (days) {
+  const chargeable = Math.max(0, days - FINE_POLICY.grace_days);
+  return Math.min(chargeable * FINE_POLICY.per_day, FINE_POLICY.max_per_loan);
+};
+
+// Outstanding balance in cents for a patron.
+FineSchema.statics.balanceFor = async function (patronId) {
+  const entries = await this.find({ patron: patronId }, "type amount").exec();
+  return entries.reduce(
+    (balance, entry) =>
+      entry.type === "Accrued" ? balance + entry.amount : balance - entry.amount,
+    0,
+  );
+};
+
+FineSchema.statics.policy = FINE_POLICY;
+FineSchema.statics.formatCents = formatCents;
+
+function formatCents(cents) {
+  const sign = cents < 0 ? "-" : "";
+  return sign + "$" + (Math.abs(cents) / 100).toFixed(2);
+}
+
+// Export model.
+module.exports = model("Fine", FineSchema);
@@ -1,13 +1,97 @@
 const { Schema, model } = require("mongoose");
+const trashable = require("./trashable");
+const audited = require("./audited");
 
+// Genres form a tree: a genre with a parent is a subgenre of it
+// ("Fiction > Fantasy > Epic Fantasy"). Top-level genres have no parent.
 const GenreSchema = new Schema({
   name: { type: String, required: true, minLength: 3, maxLength: 100 },
+  parent: { type: Schema.ObjectId, ref: "Genre" },
 });
 
+GenreSchema.index({ parent: 1 });
+
 // Virtual for this genre instance URL.
 GenreSchema.virtual("url").get(function () {
   return "/catalog/genre/" + this._id;
 });
 
+// The genres above `genre`, top-level first (for breadcrumbs).
+GenreSchema.statics.ancestorsOf = async function (genre) {
+  const ancestors = [];
+  const seen = new Set([String(genre._id)]);
+  let parentId = genre.parent;
+  // `seen` guards against a cycle that slipped into the data.
+  while (parentId && !seen.has(String(parentId))) {
+    seen.add(String(parentId));
+    const parent = await this.findById(parentId).exec();
+    if (parent === null) break;
+    ancestors.unshift(parent);
+    parentId = parent.parent;
+  }
+  return ancestors;
+};
+
+// The ids of genre `id` and every genre below it, one query per level.
+GenreSchema.statics.descendantIdsOf = async function (id) {
+  const ids = [id];
+  const seen = new Set([String(id)]);
+  let level = [id];
+  while (level.length > 0) {
+    const children = await this.find({ parent: { $in: level } }, "_id").exec();
+    level = children.map((child) => child._id).filter((childId) => !seen.has(String(childId)));
+    level.forEach((childId) => seen.add(String(childId)));
+    ids.push(...level);
+  }
+  return ids;
+};
+
+// Whether filing genre `id` under `parentId` would make it its own ancestor.
+GenreSchema.statics.createsCycle = async function (id, parentId) {
+  if (!id || !parentId) return false;
+  const descendants = await this.descendantIdsOf(id);
+  return descendants.some((descendant) => String(descendant) === String(parentId));
+};
+
+// All genres as a tree of { genre, children } nodes, siblings in `sort`
+// order. With `roots` given, only those top-level genres and what is below
+// them. Genres whose parent is gone are shown at the top level.
+GenreSchema.statics.tree = async function (sort = { name: 1 }, roots = null) {
+  const genres = await this.find().sort(sort).exec();
+  const nodes = new Map(genres.map((genre) => [String(genre._id), { genre, children: [] }]));
+  const top = [];
+  for (const node of nodes.values()) {
+    const parent = node.genre.parent && nodes.get(String(node.genre.parent));
+    if (parent) parent.children.push(node);
+    else top.push(node);
+  }
+  return roots === null ? top : roots.map((root) => nodes.get(String(root._id))).filter(Boolean);
+};
+
+// The filter for top-level genres: those with no parent, and those whose
+// parent is gone (a restore or revert can file a genre under one in the
+// trash), which Genre.tree shows at the top level too.
+GenreSchema.statics.topLevelFilter = async function () {
+  const parentIds = (await this.distinct("parent").exec()).filter(Boolean);
+  const live = await this.find({ _id: { $in: parentIds } }, "_id").exec();
+  const liveIds = new Set(live.map((genre) => String(genre._id)));
+  const goneIds = parentIds.filter((id) => !liveIds.has(String(id)));
+  return goneIds.length > 0 ? { $or: [{ parent: null }, { parent: { $in: goneIds } }] } : { parent: null };
+};
+
+// A tree flattened to [{ genre, depth }] in display order, e.g. for a select.
+GenreSchema.statics.flattenTree = function (tree, depth = 0) {
+  return tree.flatMap((node) => [
+    { genre: node.genre, depth },
+    ...this.flattenTree(node.children, depth + 1),
+  ]);
+};
+
+// Deletes move records to the trash.
+GenreSchema.plugin(trashable);
+
+// Record every change (including trashing) in the audit log.
+GenreSchema.plugin(audited);
+
 // Export model.
 module.exports = model("Genre", GenreSchema);
\ No newline at end of file
@@ -0,0 +1,120 @@
+const { Schema, model } = require("mongoose");
+const { DateTime } = require("luxon"); // for date handling
+const { publish } = require("../helpers/events");
+
+// Days a patron has to collect a copy that has been set aside for them.
+const HOLD_PICKUP_DAYS = 7;
+
+// A patron's place in the queue for a Book (not a specific copy).
+// Waiting holds are served first-come first-served by `placed`; once a copy
+// comes back it is assigned to the hold, which becomes Ready until `pickup_by`.
+const HoldSchema = new Schema({
+  book: { type: Schema.ObjectId, ref: "Book", required: true },
+  patron: { type: Schema.ObjectId, ref: "Patron", required: true },
+  placed: { type: Date, required: true, default: Date.now },
+  status: {
+    type: String,
+    required: true,
+    enum: ["Waiting", "Ready", "Fulfilled", "Expired", "Cancelled"],
+    default: "Waiting",
+  },
+  book_instance: { type: Schema.ObjectId, ref: "BookInstance" }, // Copy set aside while Ready.
+  pickup_by: { type: Date },
+});
+
+HoldSchema.index({ book: 1, status: 1, placed: 1 });
+
+HoldSchema.virtual("is_active").get(function () {
+  return this.status === "Waiting" || this.status === "Ready";
+});
+
+HoldSchema.virtual("placed_formatted").get(function () {
+  return DateTime.fromJSDate(this.placed).toLocaleString(DateTime.DATE_MED);
+});
+
+HoldSchema.virtual("pickup_by_formatted").get(function () {
+  return this.pickup_by
+    ? DateTime.fromJSDate(this.pickup_by).toLocaleString(DateTime.DATE_MED)
+    : "";
+});
+
+// Give an Available copy to the first patron waiting for its book.
+// Returns the hold that is now Ready, or null if the copy stays on the shelf.
+HoldSchema.statics.assignCopy = async function (bookInstance) {
+  const pickup_by = DateTime.now()
+    .plus({ days: HOLD_PICKUP_DAYS })
+    .endOf("day")
+    .toJSDate();
+  // From this model's own connection, so every storage backend works.
+  const BookInstance = this.db.model("BookInstance");
+  const hold = await this.findOneAndUpdate(
+    { book: bookInstance.book, status: "Waiting" },
+    { status: "Ready", book_instance: bookInstance._id, pickup_by },
+    { sort: { placed: 1 }, new: true },
+  ).exec();
+  if (hold === null) {
+    return null;
+  }
+
+  const reserved = await BookInstance.findOneAndUpdate(
+    { _id: bookInstance._id, status: "Available" },
+    { status: "Reserved", due_back: pickup_by },
+  ).exec();
+  if (reserved === null) {
+    // The copy was checked out in the meantime; keep the patron's place in line.
+    await this.findByIdAndUpdate(hold._id, {
+      status: "Waiting",
+      $unset: { book_instance: 1, pickup_by: 1 },
+    }).exec();
+    return null;
+  }
+  return hold;
+};
+
+// Release a copy that was Reserved for a hold that will not be collected,
+// passing it to the next patron in line or back onto the shelf. Each status
+// the copy goes through is announced, as when a copy is returned.
+HoldSchema.statics.releaseCopy = async function (bookInstanceId) {
+  const BookInstance = this.db.model("BookInstance");
+  const bookInstance = await BookInstance.findOneAndUpdate(
+    { _id: bookInstanceId, status: "Reserved" },
+    { status: "Available", due_back: new Date() },
+    { new: true },
+  ).exec();
+  if (bookInstance !== null) {
+    publish("bookinstance.status_changed", { book_instance: bookInstance, from: "Reserved", to: "Available" });
+    if ((await this.assignCopy(bookInstance)) !== null) {
+      const reserved = await BookInstance.findById(bookInstance._id).exec();
+      publish("bookinstance.status_changed", { book_instance: reserved, from: "Available", to: "Reserved" });
+    }
+  }
+};
+
+// Cancel an active hold, releasing its copy if one was already set aside.
+HoldSchema.statics.cancel = async function (holdId) {
+  const hold = await this.findOneAndUpdate(
+    { _id: holdId, status: { $in: ["Waiting", "Ready"] } },
+    { status: "Cancelled" },
+  ).exec();
+  if (hold !== null && hold.status === "Ready") {
+    await this.releaseCopy(hold.book_instance);
+  }
+  return hold;
+};
+
+// Expire Ready holds whose pickup deadline has passed. Returns how many expired.
+HoldSchema.statics.expireUnclaimed = async function () {
+  const lapsed = await this.find({
+    status: "Ready",
+    pickup_by: { $lt: new Date() },
+  }).exec();
+  for (const hold of lapsed) {
+    hold.status = "Expired";
+    await hold.save();
+    await this.releaseCopy(hold.book_instance);
+  }
+  return lapsed.length;
+};
+
+// Export model.
+module.exports = model("Hold", HoldSchema);
@@ -0,0 +1,59 @@
+const { Schema, model } = require("mongoose");
+const { DateTime } = require("luxon"); // for date handling
+
+// One checkout of a BookInstance by a Patron. A loan is open until `returned` is set.
+const LoanSchema = new Schema({
+  book_instance: { type: Schema.ObjectId, ref: "BookInstance", required: true },
+  patron: { type: Schema.ObjectId, ref: "Patron", required: true },
+  checked_out: { type: Date, required: true, default: Date.now },
+  due_back: { type: Date, required: true },
+  returned: { type: Date },
+});
+
+LoanSchema.index({ book_instance: 1, checked_out: -1 });
+LoanSchema.index({ patron: 1, checked_out: -1 });
+// For the loans and returns of recent days and weeks on the home page.
+LoanSchema.index({ checked_out: -1 });
+LoanSchema.index({ returned: -1 });
+
+LoanSchema.virtual("is_open").get(function () {
+  return !this.returned;
+});
+
+LoanSchema.virtual("checked_out_formatted").get(function () {
+  return DateTime.fromJSDate(this.checked_out).toLocaleString(DateTime.DATE_MED);
+});
+
+LoanSchema.virtual("due_back_formatted").get(function () {
+  return DateTime.fromJSDate(this.due_back).toLocaleString(DateTime.DATE_MED);
+});
+
+LoanSchema.virtual("returned_formatted").get(function () {
+  return this.returned
+    ? DateTime.fromJSDate(this.returned).toLocaleString(DateTime.DATE_MED)
+    : "";
+});
+
+// The `limit` books (`by` "book") or genres (`by` "genre") lent most often,
+// as [{ _id, loans }], most first; a loan counts once for each genre of its
+// book. Loans of copies since trashed still count for their book, but books
+// in the trash are left out. Grouped in the database, over every loan.
+LoanSchema.statics.mostBorrowed = function (by, limit) {
+  const BookInstance = this.db.model("BookInstance");
+  const Book = this.db.model("Book");
+  return this.aggregate([
+    { $group: { _id: "$book_instance", loans: { $sum: 1 } } },
+    { $lookup: { from: BookInstance.collection.name, localField: "_id", foreignField: "_id", as: "copy" } },
+    { $unwind: "$copy" },
+    { $lookup: { from: Book.collection.name, localField: "copy.book", foreignField: "_id", as: "book" } },
+    { $unwind: "$book" },
+    { $match: { "book.deleted_at": null } },
+    ...(by === "genre" ? [{ $unwind: "$book.genre" }] : []),
+    { $group: { _id: by === "genre" ? "$book.genre" : "$book._id", loans: { $sum: "$loans" } } },
+    { $sort: { loans: -1, _id: 1 } },
+    { $limit: limit },
+  ]).exec();
+};
+
+// Export model.
+module.exports = model("Loan", LoanSchema);
@@ -0,0 +1,80 @@
+const { Schema, model } = require("mongoose");
+const { DateTime } = require("luxon"); // for date handling
+const { auditContext } = require("../helpers/auditContext");
+
+// The Book field that refers to each mergeable model.
+const BOOK_FIELDS = { Author: "contributors.author", Genre: "genre" };
+
+// A duplicate Author or Genre folded into the record kept in its place (the
+// survivor). The duplicate's books were moved to the survivor and the
+// duplicate to the trash; this record sends its old URLs on to the survivor.
+const MergeSchema = new Schema({
+  target_model: { type: String, required: true, enum: Object.keys(BOOK_FIELDS) },
+  merged: { type: Schema.ObjectId, required: true, refPath: "target_model" },
+  survivor: { type: Schema.ObjectId, required: true, refPath: "target_model" },
+  books: [{ type: Schema.ObjectId, ref: "Book" }], // Books moved to the survivor.
+  actor: { type: Schema.ObjectId, ref: "User" },
+  actor_name: { type: String }, // Kept in case the account is deleted later.
+  timestamp: { type: Date, required: true, default: Date.now },
+});
+
+MergeSchema.index({ merged: 1 });
+
+MergeSchema.virtual("timestamp_formatted").get(function () {
+  return DateTime.fromJSDate(this.timestamp).toLocaleString(DateTime.DATETIME_MED);
+});
+
+// The books, trashed ones included, that refer to a `targetModel` record.
+MergeSchema.statics.affectedBooks = function (targetModel, id) {
+  return this.db
+    .model("Book")
+    .find({ [BOOK_FIELDS[targetModel]]: id })
+    .withTrashed()
+    .sort({ title: 1 })
+    .populate("contributors.author")
+    .exec();
+};
+
+// Merge the `targetModel` record `mergedId` into `survivorId`: move its books
+// (and for a genre, its subgenres) to the survivor, send earlier merges into
+// it on to the survivor, and move it to the trash. Returns the Merge record.
+MergeSchema.statics.merge = async function (targetModel, mergedId, survivorId) {
+  const Book = this.db.model("Book");
+  const books = await this.affectedBooks(targetModel, mergedId);
+
+  if (targetModel === "Author") {
+    await Book.replaceContributor(mergedId, survivorId);
+  } else {
+    // A book may already be in both genres, so add the survivor before
+    // removing the duplicate rather than replacing one with the other.
+    await Book.updateMany({ genre: mergedId }, { $addToSet: { genre: survivorId } }).withTrashed().exec();
+    await Book.updateMany({ genre: mergedId }, { $pull: { genre: mergedId } }).withTrashed().exec();
+    // Its subgenres become subgenres of the survivor.
+    await this.db.model("Genre").updateMany({ parent: mergedId }, { parent: survivorId }).withTrashed().exec();
+  }
+  await this.updateMany({ target_model: targetModel, survivor: mergedId }, { survivor: survivorId }).exec();
+
+  const { actor } = auditContext();
+  const merge = await this.create({
+    target_model: targetModel,
+    merged: mergedId,
+    survivor: survivorId,
+    books: books.map((book) => book._id),
+    actor: actor ? actor._id : undefined,
+    actor_name: actor ? actor.username : undefined,
+  });
+  await this.db.model(targetModel).trash(mergedId);
+  return merge;
+};
+
+// The id of the record a merged `targetModel` record now lives on as, or
+// null if it was never merged.
+MergeSchema.statics.survivorOf = async function (targetModel, id) {
+  const merge = await this.findOne({ target_model: targetModel, merged: id })
+    .sort({ timestamp: -1 })
+    .exec();
+  return merge ? merge.survivor : null;
+};
+
+// Export model.
+module.exports = model("Merge", MergeSchema);
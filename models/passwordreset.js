@@ -0,0 +1,50 @@
+const { Schema, model } = require("mongoose");
+const crypto = require("crypto");
+
+// How long a password reset link stays valid.
+const RESET_TOKEN_MINUTES = 60;
+
+// A one-time password reset token. As with sessions only the hash is stored.
+const PasswordResetSchema = new Schema({
+  token_hash: { type: String, required: true, unique: true },
+  user: { type: Schema.ObjectId, ref: "User", required: true },
+  expires: { type: Date, required: true },
+});
+
+PasswordResetSchema.index({ expires: 1 }, { expireAfterSeconds: 0 });
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+// Issue a new token for a user, replacing any earlier one. Resolves to the token.
+PasswordResetSchema.statics.issue = async function (userId) {
+  const token = crypto.randomBytes(32).toString("hex");
+  await this.deleteMany({ user: userId }).exec();
+  await this.create({
+    token_hash: hashToken(token),
+    user: userId,
+    expires: new Date(Date.now() + RESET_TOKEN_MINUTES * 60 * 1000),
+  });
+  return token;
+};
+
+// Find the live reset for a token without using it up.
+PasswordResetSchema.statics.findValid = function (token) {
+  return this.findOne({
+    token_hash: hashToken(token),
+    expires: { $gt: new Date() },
+  }).exec();
+};
+
+// Use up a token. Resolves to the reset (with its user id), or null if it
+// was unknown, expired or already used.
+PasswordResetSchema.statics.consume = function (token) {
+  return this.findOneAndDelete({
+    token_hash: hashToken(token),
+    expires: { $gt: new Date() },
+  }).exec();
+};
+
+// Export model.
+module.exports = model("PasswordReset", PasswordResetSchema);
@@ -0,0 +1,26 @@
+const { Schema, model } = require("mongoose");
+const { DateTime } = require("luxon"); // for date handling
+
+const PatronSchema = new Schema({
+  first_name: { type: String, required: true, maxLength: 100 },
+  family_name: { type: String, required: true, maxLength: 100 },
+  email: { type: String, required: true, unique: true, maxLength: 254 },
+  joined: { type: Date, default: Date.now },
+});
+
+// Virtual for patron "full" name.
+PatronSchema.virtual("name").get(function () {
+  return this.family_name + ", " + this.first_name;
+});
+
+// Virtual for this patron instance URL.
+PatronSchema.virtual("url").get(function () {
+  return "/catalog/patron/" + this._id;
+});
+
+PatronSchema.virtual("joined_formatted").get(function () {
+  return DateTime.fromJSDate(this.joined).toLocaleString(DateTime.DATE_MED);
+});
+
+// Export model.
+module.exports = model("Patron", PatronSchema);
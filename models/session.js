@@ -0,0 +1,46 @@
+const { Schema, model } = require("mongoose");
+const crypto = require("crypto");
+
+// How long a login lasts.
+const SESSION_DAYS = 14;
+
+// A logged-in browser. The cookie holds a random token; only its SHA-256
+// hash is stored, so a leaked collection cannot be replayed as cookies.
+const SessionSchema = new Schema({
+  token_hash: { type: String, required: true, unique: true },
+  user: { type: Schema.ObjectId, ref: "User", required: true },
+  expires: { type: Date, required: true },
+});
+
+// Let MongoDB delete sessions once they expire.
+SessionSchema.index({ expires: 1 }, { expireAfterSeconds: 0 });
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+// Start a session for a user. Resolves to the token for the cookie.
+SessionSchema.statics.start = async function (userId) {
+  const token = crypto.randomBytes(32).toString("hex");
+  const expires = new Date(Date.now() + SESSION_DAYS * 24 * 60 * 60 * 1000);
+  await this.create({ token_hash: hashToken(token), user: userId, expires });
+  return { token, expires };
+};
+
+// Find the live session for a cookie token, with its user populated.
+SessionSchema.statics.findByToken = function (token) {
+  return this.findOne({
+    token_hash: hashToken(token),
+    expires: { $gt: new Date() },
+  })
+    .populate("user")
+    .exec();
+};
+
+// End the session for a cookie token.
+SessionSchema.statics.end = function (token) {
+  return this.deleteOne({ token_hash: hashToken(token) }).exec();
+};
+
+// Export model.
+module.exports = model("Session", SessionSchema);
@@ -0,0 +1,87 @@
+const { DateTime } = require("luxon"); // for date handling
+const config = require("../config");
+
+// Every query that reads, changes or deletes records.
+const QUERY_OPS = [
+  "find", "findOne", "countDocuments", "distinct",
+  "findOneAndUpdate", "findOneAndDelete", "findOneAndRemove",
+  "updateOne", "updateMany", "deleteOne", "deleteMany",
+];
+
+// Mongoose plugin: soft delete. `trash()` sets `deleted_at` instead of
+// removing the record, and from then on every query leaves the record out,
+// as if it had been deleted, unless the query asks for it: with
+// `.withTrashed()` or by filtering on `deleted_at` itself. Trashed records
+// can be restored or purged (deleted for good); `purgeExpired()` purges the
+// ones trashed more than TRASH_RETENTION_DAYS ago.
+module.exports = function trashable(schema) {
+  schema.add({ deleted_at: { type: Date } });
+  schema.index({ deleted_at: 1 });
+
+  schema.query.withTrashed = function () {
+    return this.setOptions({ withTrashed: true });
+  };
+
+  schema.pre(QUERY_OPS, { document: false, query: true }, function () {
+    const options = this.getOptions();
+    if (options.withTrashed) {
+      delete options.withTrashed;
+    } else if (!("deleted_at" in this.getFilter())) {
+      this.where({ deleted_at: null });
+    }
+  });
+
+  schema.virtual("purge_after").get(function () {
+    return this.deleted_at
+      ? DateTime.fromJSDate(this.deleted_at).plus({ days: config.TRASH_RETENTION_DAYS }).toJSDate()
+      : null;
+  });
+
+  schema.virtual("deleted_at_formatted").get(function () {
+    return this.deleted_at ? DateTime.fromJSDate(this.deleted_at).toLocaleString(DateTime.DATETIME_MED) : "";
+  });
+
+  schema.virtual("purge_after_formatted").get(function () {
+    return this.deleted_at ? DateTime.fromJSDate(this.purge_after).toLocaleString(DateTime.DATE_MED) : "";
+  });
+
+  // Move a record to the trash. Returns it, or null if there was none.
+  schema.statics.trash = function (id) {
+    return this.findByIdAndUpdate(id, { deleted_at: new Date() }, { new: true }).exec();
+  };
+
+  // Take a record out of the trash. Returns it, or null if it was not there.
+  schema.statics.restore = function (id) {
+    return this.findOneAndUpdate(
+      { _id: id, deleted_at: { $ne: null } },
+      { $unset: { deleted_at: 1 } },
+      { new: true },
+    ).exec();
+  };
+
+  // Delete a trashed record for good. Returns it, or null if it was not there.
+  schema.statics.purge = function (id) {
+    return this.findOneAndDelete({ _id: id, deleted_at: { $ne: null } }).exec();
+  };
+
+  // The records in the trash, most recently trashed first.
+  schema.statics.findTrashed = function () {
+    return this.find({ deleted_at: { $ne: null } }).sort({ deleted_at: -1 });
+  };
+
+  // Purge records trashed more than `days` ago, except those for which
+  // `isReferenced(record)` resolves true. Returns how many were purged.
+  schema.statics.purgeExpired = async function ({
+    days = config.TRASH_RETENTION_DAYS,
+    isReferenced = async () => false,
+  } = {}) {
+    const expired = { deleted_at: { $lt: DateTime.now().minus({ days }).toJSDate() } };
+    const ids = [];
+    for (const record of await this.find(expired).exec()) {
+      if (!(await isReferenced(record))) ids.push(record._id);
+    }
+    if (ids.length === 0) return 0;
+    const result = await this.deleteMany({ ...expired, _id: { $in: ids } }).exec();
+    return result.deletedCount;
+  };
+};
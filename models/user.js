@@ -0,0 +1,62 @@
+const { Schema, model } = require("mongoose");
+const { DateTime } = require("luxon"); // for date handling
+const crypto = require("crypto");
+const { promisify } = require("util");
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 64;
+
+// Roles from least to most privileged; each role can do everything the ones before it can.
+const ROLES = ["patron", "librarian", "admin"];
+
+const UserSchema = new Schema({
+  username: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    minLength: 3,
+    maxLength: 30,
+  },
+  email: { type: String, required: true, unique: true, maxLength: 254 },
+  // "salt:hash", both hex encoded. Never the password itself.
+  password_hash: { type: String, required: true },
+  role: { type: String, required: true, enum: ROLES, default: "patron" },
+  created: { type: Date, default: Date.now },
+});
+
+// Virtual for this user's account URL.
+UserSchema.virtual("url").get(function () {
+  return "/users";
+});
+
+UserSchema.virtual("created_formatted").get(function () {
+  return DateTime.fromJSDate(this.created).toLocaleString(DateTime.DATE_MED);
+});
+
+// True if the user's role is `role` or a more privileged one.
+UserSchema.methods.hasRole = function (role) {
+  return ROLES.indexOf(this.role) >= ROLES.indexOf(role);
+};
+
+UserSchema.statics.ROLES = ROLES;
+
+// Hash and store a new password (the document still has to be saved).
+UserSchema.methods.setPassword = async function (password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  this.password_hash = salt + ":" + hash.toString("hex");
+};
+
+// Check a candidate password against the stored hash.
+UserSchema.methods.verifyPassword = async function (password) {
+  const [salt, stored] = (this.password_hash || "").split(":");
+  if (!salt || !stored) {
+    return false;
+  }
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return crypto.timingSafeEqual(hash, Buffer.from(stored, "hex"));
+};
+
+// Export model.
+module.exports = model("User", UserSchema);
@@ -0,0 +1,42 @@
+const { Schema, model } = require("mongoose");
+const { DateTime } = require("luxon"); // for date handling
+const crypto = require("crypto");
+const { EVENT_TYPES } = require("../helpers/events");
+
+// A new random signing secret.
+const newSecret = () => crypto.randomBytes(32).toString("hex");
+
+// An outside system that wants to hear about some events (see
+// helpers/events.js). Each one is POSTed to `endpoint` as JSON, signed with
+// `secret` so the receiver can tell the request came from us.
+const WebhookSchema = new Schema({
+  endpoint: { type: String, required: true, maxLength: 2000 },
+  description: { type: String, maxLength: 200 },
+  events: [{ type: String, enum: EVENT_TYPES }],
+  secret: { type: String, required: true, default: newSecret },
+  active: { type: Boolean, required: true, default: true },
+  created: { type: Date, default: Date.now },
+});
+
+WebhookSchema.index({ active: 1, events: 1 });
+
+// Virtual for this webhook's admin page URL.
+WebhookSchema.virtual("url").get(function () {
+  return "/webhooks/" + this._id;
+});
+
+WebhookSchema.virtual("created_formatted").get(function () {
+  return DateTime.fromJSDate(this.created).toLocaleString(DateTime.DATE_MED);
+});
+
+// The signature of a request body sent at `timestamp` (Unix seconds): the
+// hex HMAC-SHA256 of "<timestamp>.<body>" under the secret. Including the
+// time stops an old request being replayed as new.
+WebhookSchema.methods.sign = function (timestamp, body) {
+  return crypto.createHmac("sha256", this.secret).update(`${timestamp}.${body}`).digest("hex");
+};
+
+WebhookSchema.statics.newSecret = newSecret;
+
+// Export model.
+module.exports = model("Webhook", WebhookSchema);
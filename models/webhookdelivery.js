@@ -0,0 +1,163 @@
+const { Schema, model } = require("mongoose");
+const { DateTime } = require("luxon"); // for date handling
+
+// Minutes to wait before each retry of a delivery that failed; once they
+// are used up the delivery is given up as Failed.
+const RETRY_DELAYS_MINUTES = [1, 5, 30, 120, 720];
+// How long a receiver has to answer before the attempt counts as failed.
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+// How much of a receiver's answer the log keeps.
+const RESPONSE_EXCERPT_LENGTH = 500;
+
+// One try at POSTing a delivery.
+const AttemptSchema = new Schema({
+  at: { type: Date, required: true },
+  response_status: { type: Number }, // Missing when no answer came back.
+  response_excerpt: { type: String },
+  error: { type: String },
+  duration_ms: { type: Number },
+}, { _id: false });
+
+// One event sent (or being sent) to one Webhook, with every attempt made:
+// the webhook's delivery log. Pending deliveries are tried again at
+// `next_attempt` until one attempt gets a 2xx answer.
+const WebhookDeliverySchema = new Schema({
+  webhook: { type: Schema.ObjectId, ref: "Webhook", required: true },
+  event_id: { type: String, required: true },
+  event_type: { type: String, required: true },
+  payload: { type: String, required: true }, // The request body, exactly as signed.
+  status: {
+    type: String,
+    required: true,
+    enum: ["Pending", "Delivered", "Failed"],
+    default: "Pending",
+  },
+  attempts: [AttemptSchema],
+  next_attempt: { type: Date },
+  created: { type: Date, default: Date.now },
+});
+
+WebhookDeliverySchema.index({ status: 1, next_attempt: 1 });
+WebhookDeliverySchema.index({ webhook: 1, created: -1 });
+
+WebhookDeliverySchema.virtual("created_formatted").get(function () {
+  return DateTime.fromJSDate(this.created).toLocaleString(DateTime.DATETIME_MED);
+});
+
+WebhookDeliverySchema.virtual("next_attempt_formatted").get(function () {
+  return this.next_attempt ? DateTime.fromJSDate(this.next_attempt).toLocaleString(DateTime.DATETIME_MED) : "";
+});
+
+// The time `minutes` from now.
+const minutesFromNow = (minutes) => DateTime.now().plus({ minutes }).toJSDate();
+
+// Queue `event` (see helpers/events.js) for every active webhook that wants
+// its type, and make the first attempt at each. Returns the deliveries.
+WebhookDeliverySchema.statics.enqueue = async function (event) {
+  // From this model's own connection, so every storage backend works.
+  const Webhook = this.db.model("Webhook");
+  const webhooks = await Webhook.find({ active: true, events: event.type }).exec();
+  const payload = JSON.stringify(event);
+  const deliveries = [];
+  for (const webhook of webhooks) {
+    // Until the first attempt is recorded, the retry timer leaves it alone.
+    const delivery = await this.create({
+      webhook: webhook._id,
+      event_id: event.id,
+      event_type: event.type,
+      payload,
+      next_attempt: minutesFromNow(RETRY_DELAYS_MINUTES[0]),
+    });
+    await delivery.attempt(webhook);
+    deliveries.push(delivery);
+  }
+  return deliveries;
+};
+
+// POST the payload to the webhook's endpoint once, log the attempt, and
+// settle the delivery: Delivered on a 2xx answer, otherwise Pending until
+// the next retry or Failed when there are none left.
+WebhookDeliverySchema.methods.attempt = async function (webhook) {
+  if (!webhook) {
+    webhook = await this.$model("Webhook").findById(this.webhook).exec();
+  }
+  const attempt = { at: new Date() };
+  const switchedOff = !webhook || !webhook.active;
+  if (switchedOff) {
+    attempt.error = "The webhook is switched off.";
+  } else {
+    const timestamp = Math.floor(attempt.at.getTime() / 1000);
+    try {
+      const response = await fetch(webhook.endpoint, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "LocalLibrary-Webhooks",
+          "X-Webhook-Event": this.event_type,
+          "X-Webhook-Delivery": String(this._id),
+          "X-Webhook-Timestamp": String(timestamp),
+          "X-Webhook-Signature": "sha256=" + webhook.sign(timestamp, this.payload),
+        },
+        body: this.payload,
+        redirect: "manual",
+        signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+      });
+      attempt.response_status = response.status;
+      attempt.response_excerpt = (await response.text()).slice(0, RESPONSE_EXCERPT_LENGTH);
+    } catch (err) {
+      attempt.error = err.name === "TimeoutError"
+        ? `No answer within ${DELIVERY_TIMEOUT_MS / 1000} seconds.`
+        : (err.cause && err.cause.message) || err.message;
+    }
+  }
+  attempt.duration_ms = Date.now() - attempt.at.getTime();
+
+  this.attempts.push(attempt);
+  if (attempt.response_status >= 200 && attempt.response_status < 300) {
+    this.status = "Delivered";
+    this.next_attempt = undefined;
+  } else if (switchedOff || this.attempts.length > RETRY_DELAYS_MINUTES.length) {
+    this.status = "Failed";
+    this.next_attempt = undefined;
+  } else {
+    this.status = "Pending";
+    this.next_attempt = minutesFromNow(RETRY_DELAYS_MINUTES[this.attempts.length - 1]);
+  }
+  await this.save();
+  return this;
+};
+
+// Try again every Pending delivery whose next attempt is due. Each is
+// claimed first, so a slow run cannot overlap the next one. Returns how
+// many were tried.
+WebhookDeliverySchema.statics.retryDue = async function () {
+  let tried = 0;
+  for (;;) {
+    const delivery = await this.findOneAndUpdate(
+      { status: "Pending", next_attempt: { $lte: new Date() } },
+      { next_attempt: minutesFromNow(RETRY_DELAYS_MINUTES[0]) },
+      { sort: { next_attempt: 1 }, new: true },
+    ).exec();
+    if (delivery === null) {
+      return tried;
+    }
+    await delivery.attempt();
+    tried++;
+  }
+};
+
+// Send a delivery that was given up on once more, now. Returns it, or null
+// if there was no such Failed delivery.
+WebhookDeliverySchema.statics.redeliver = async function (id) {
+  const delivery = await this.findOneAndUpdate(
+    { _id: id, status: "Failed" },
+    { status: "Pending", next_attempt: minutesFromNow(RETRY_DELAYS_MINUTES[0]) },
+    { new: true },
+  ).exec();
+  return delivery && delivery.attempt();
+};
+
+WebhookDeliverySchema.statics.RETRY_DELAYS_MINUTES = RETRY_DELAYS_MINUTES;
+
+// Export model.
+module.exports = model("WebhookDelivery", WebhookDeliverySchema);
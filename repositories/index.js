@@ -0,0 +1,10 @@
+const config = require("../config");
+
+// The storage backend chosen by the STORAGE setting. Controllers get their
+// models from here rather than from models/*.js, e.g.
+//
+//   const { Book, Author } = require("../repositories");
+//
+// so the same code runs against MongoDB ("mongo") or an in-process store
+// ("memory"). Call `connect()` once at startup.
+module.exports = config.STORAGE === "memory" ? require("./memory") : require("./mongo");
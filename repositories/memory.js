@@ -0,0 +1,19 @@
+const mongoose = require("mongoose");
+const models = require("./models");
+const { MemoryDb } = require("./memoryCollection");
+
+// The in-memory backend: the same schemas compiled on a connection of their
+// own whose collections live in this process (see memoryCollection.js).
+// Mongoose still casts, validates, populates and runs the statics, so the
+// controllers cannot tell the difference.
+const connection = mongoose.createConnection();
+connection.set("strictQuery", false);
+connection.db = new MemoryDb();
+connection.onOpen();
+
+for (const [name, model] of Object.entries(models)) {
+  exports[name] = connection.model(name, model.schema);
+}
+
+// Nothing to connect to.
+exports.connect = async () => connection;
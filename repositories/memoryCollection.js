@@ -0,0 +1,556 @@
+// A small in-process stand-in for the MongoDB driver's Db and Collection.
+// Mongoose casts queries, updates and documents before they get here, so
+// these only have to store plain objects and evaluate the operators the app
+// uses: equality, $and/$or/$nor, $in/$nin, $ne, $lt/$lte/$gt/$gte, $exists
+// and regexes in filters; $set/$unset/$inc/$push/$pull/$addToSet in
+// updates; plus sort, skip, limit, projection, collation, distinct, unique
+// indexes and the aggregation stages in AGGREGATION_STAGES.
+
+// Copy a stored value so callers can never mutate the store. ObjectIds are
+// immutable and shared. Mongoose documents and arrays (e.g. subdocuments in
+// an update) are stored as the plain values the driver would serialize.
+function clone(value) {
+  if (value instanceof Date) return new Date(value.getTime());
+  if (value && typeof value.toBSON === "function" && !value._bsontype) return clone(value.toBSON());
+  if (Array.isArray(value)) return Array.from(value, clone);
+  if (value && typeof value === "object" && !value._bsontype && !Buffer.isBuffer(value)) {
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+      if (item !== undefined) copy[key] = clone(item);
+    }
+    return copy;
+  }
+  return value;
+}
+
+// Value at a dotted path. Arrays along the way yield every element's value.
+function getPath(doc, path) {
+  let values = [doc];
+  for (const key of path.split(".")) {
+    const next = [];
+    for (const value of values) {
+      if (Array.isArray(value) && !/^\d+$/.test(key)) {
+        value.forEach((item) => item != null && next.push(item[key]));
+      } else if (value != null) {
+        next.push(value[key]);
+      }
+    }
+    values = next;
+  }
+  return values.length === 1 ? values[0] : values;
+}
+
+function setPath(doc, path, value) {
+  const keys = path.split(".");
+  const last = keys.pop();
+  let target = doc;
+  for (const key of keys) {
+    if (target[key] == null || typeof target[key] !== "object") target[key] = {};
+    target = target[key];
+  }
+  target[last] = value;
+}
+
+function unsetPath(doc, path) {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const target = keys.reduce((value, key) => (value == null ? value : value[key]), doc);
+  if (target != null) delete target[last];
+}
+
+// BSON comparison order for values of different types.
+function typeRank(value) {
+  if (value == null) return 1;
+  if (typeof value === "number") return 2;
+  if (typeof value === "string") return 3;
+  if (value._bsontype === "ObjectId") return 7;
+  if (typeof value === "boolean") return 8;
+  if (value instanceof Date) return 9;
+  if (Array.isArray(value)) return 5;
+  return 4;
+}
+
+// Compare two values the way MongoDB sorts them. With a collation, strings
+// compare by locale (strength 1 or 2 ignores case).
+function compare(a, b, collation) {
+  const rankA = typeRank(a);
+  const rankB = typeRank(b);
+  if (rankA !== rankB) return rankA - rankB;
+  if (rankA === 1) return 0;
+  if (rankA === 3 && collation) {
+    const sensitivity = collation.strength === 1 ? "base" : collation.strength === 2 ? "accent" : "variant";
+    return a.localeCompare(b, collation.locale, { sensitivity });
+  }
+  if (rankA === 7) {
+    a = a.toHexString();
+    b = b.toHexString();
+  } else if (rankA === 9) {
+    a = a.getTime();
+    b = b.getTime();
+  } else if (rankA === 4 || rankA === 5) {
+    a = JSON.stringify(a);
+    b = JSON.stringify(b);
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function equals(a, b, collation) {
+  return typeRank(a) === typeRank(b) && compare(a, b, collation) === 0;
+}
+
+// Does a field value satisfy `test`? Like MongoDB, an array field matches
+// when the array itself or any of its elements does.
+function anyValue(value, test) {
+  if (test(value)) return true;
+  return Array.isArray(value) && value.some(test);
+}
+
+function matchesCondition(value, condition, collation) {
+  if (condition instanceof RegExp) {
+    return anyValue(value, (item) => typeof item === "string" && condition.test(item));
+  }
+  const isOperators = condition && typeof condition === "object" && !Array.isArray(condition)
+    && !condition._bsontype && !(condition instanceof Date)
+    && Object.keys(condition).length > 0 && Object.keys(condition).every((key) => key.startsWith("$"));
+  if (!isOperators) {
+    if (condition == null) return value == null || (Array.isArray(value) && value.some((item) => item == null));
+    return anyValue(value, (item) => equals(item, condition, collation));
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case "$eq":
+        return matchesCondition(value, operand, collation);
+      case "$ne":
+        return !matchesCondition(value, operand, collation);
+      case "$in":
+        return operand.some((item) => matchesCondition(value, item, collation));
+      case "$nin":
+        return !operand.some((item) => matchesCondition(value, item, collation));
+      case "$lt":
+        return anyValue(value, (item) => item != null && typeRank(item) === typeRank(operand) && compare(item, operand, collation) < 0);
+      case "$lte":
+        return anyValue(value, (item) => item != null && typeRank(item) === typeRank(operand) && compare(item, operand, collation) <= 0);
+      case "$gt":
+        return anyValue(value, (item) => item != null && typeRank(item) === typeRank(operand) && compare(item, operand, collation) > 0);
+      case "$gte":
+        return anyValue(value, (item) => item != null && typeRank(item) === typeRank(operand) && compare(item, operand, collation) >= 0);
+      case "$exists":
+        return (value !== undefined) === Boolean(operand);
+      case "$regex":
+        return matchesCondition(value, new RegExp(operand, condition.$options || ""), collation);
+      case "$options":
+        return true;
+      case "$not":
+        return !matchesCondition(value, operand, collation);
+      case "$size":
+        return Array.isArray(value) && value.length === operand;
+      default:
+        throw new Error(`The memory store does not support the ${operator} query operator.`);
+    }
+  });
+}
+
+// Does `doc` match a (cast) MongoDB filter?
+function matches(doc, filter, collation) {
+  return Object.entries(filter || {}).every(([key, condition]) => {
+    switch (key) {
+      case "$and":
+        return condition.every((part) => matches(doc, part, collation));
+      case "$or":
+        return condition.some((part) => matches(doc, part, collation));
+      case "$nor":
+        return !condition.some((part) => matches(doc, part, collation));
+      case "$comment":
+        return true;
+      default:
+        return matchesCondition(getPath(doc, key), condition, collation);
+    }
+  });
+}
+
+// Apply a (cast) update document to `doc` in place.
+function applyUpdate(doc, update, isInsert) {
+  for (const [operator, fields] of Object.entries(update)) {
+    for (const [path, value] of Object.entries(fields || {})) {
+      const current = getPath(doc, path);
+      switch (operator) {
+        case "$set":
+          setPath(doc, path, clone(value));
+          break;
+        case "$setOnInsert":
+          if (isInsert) setPath(doc, path, clone(value));
+          break;
+        case "$unset":
+          unsetPath(doc, path);
+          break;
+        case "$inc":
+          setPath(doc, path, (current || 0) + value);
+          break;
+        case "$push": {
+          const items = value && value.$each ? value.$each : [value];
+          setPath(doc, path, (current || []).concat(items.map(clone)));
+          break;
+        }
+        case "$addToSet": {
+          const items = value && value.$each ? value.$each : [value];
+          const list = (current || []).slice();
+          for (const item of items) {
+            if (!list.some((existing) => equals(existing, item))) list.push(clone(item));
+          }
+          setPath(doc, path, list);
+          break;
+        }
+        case "$pull":
+          setPath(doc, path, (current || []).filter((item) => !matchesCondition(item, value)));
+          break;
+        default:
+          throw new Error(`The memory store does not support the ${operator} update operator.`);
+      }
+    }
+  }
+}
+
+// Keep or drop fields according to a projection like { title: 1, author: 1 }.
+function project(doc, projection) {
+  const fields = Object.entries(projection || {});
+  if (fields.length === 0) return doc;
+  // { _id: 0 } alone excludes; any other truthy field (even _id) includes.
+  const including = fields.some(([key, value]) => key !== "_id" && value)
+    || (fields.length === 1 && Boolean(projection._id));
+  if (!including) {
+    const result = clone(doc);
+    fields.forEach(([key]) => unsetPath(result, key));
+    return result;
+  }
+  const result = {};
+  if (projection._id !== 0 && projection._id !== false) result._id = doc._id;
+  for (const [key, value] of fields) {
+    if (key !== "_id" && value) {
+      const item = getPath(doc, key);
+      if (item !== undefined) setPath(result, key, clone(item));
+    }
+  }
+  return result;
+}
+
+// Sort documents by a sort like { title: 1, _id: -1 }.
+function sortDocuments(docs, sort, collation) {
+  const keys = Object.entries(sort || {});
+  if (keys.length === 0) return docs;
+  return docs.slice().sort((a, b) => {
+    for (const [path, direction] of keys) {
+      const order = compare(getPath(a, path), getPath(b, path), collation);
+      if (order !== 0) return direction < 0 || direction === "desc" ? -order : order;
+    }
+    return 0;
+  });
+}
+
+// The value of an aggregation expression for `doc`: "$path" reads a field,
+// an object is evaluated key by key, and anything else is a constant.
+function evaluate(doc, expression) {
+  if (typeof expression === "string" && expression.startsWith("$")) {
+    return getPath(doc, expression.slice(1));
+  }
+  if (expression && typeof expression === "object" && !expression._bsontype && !(expression instanceof Date)) {
+    return Object.fromEntries(Object.entries(expression).map(([key, value]) => [key, evaluate(doc, value)]));
+  }
+  return expression;
+}
+
+// The aggregation stages the memory store runs, each turning the documents
+// so far into the next stage's. Pipelines are not cast by Mongoose, so ids
+// and dates in them must already be ObjectIds and Dates.
+const AGGREGATION_STAGES = {
+  $match: (docs, filter) => docs.filter((doc) => matches(doc, filter)),
+  $sort: (docs, sort) => sortDocuments(docs, sort),
+  $skip: (docs, count) => docs.slice(count),
+  $limit: (docs, count) => docs.slice(0, count),
+  // The documents of `from` whose `foreignField` equals `localField`, as `as`.
+  $lookup: (docs, { from, localField, foreignField, as }, db) => {
+    const foreign = db.collection(from).documents;
+    return docs.map((doc) => {
+      const local = [].concat(getPath(doc, localField) ?? []);
+      const joined = foreign.filter((other) =>
+        local.some((value) => anyValue(getPath(other, foreignField), (item) => equals(item, value))));
+      setPath(doc, as, joined.map(clone));
+      return doc;
+    });
+  },
+  // One document per element of an array field; documents where it is
+  // missing or empty are dropped.
+  $unwind: (docs, spec) => {
+    const path = (typeof spec === "string" ? spec : spec.path).slice(1);
+    return docs.flatMap((doc) => {
+      const value = getPath(doc, path);
+      if (value == null) return [];
+      if (!Array.isArray(value)) return [doc];
+      return value.map((item) => {
+        const copy = clone(doc);
+        setPath(copy, path, clone(item));
+        return copy;
+      });
+    });
+  },
+  // One document per distinct `_id` expression, with $sum accumulators.
+  $group: (docs, { _id, ...fields }) => {
+    const groups = [];
+    for (const doc of docs) {
+      const key = evaluate(doc, _id) ?? null;
+      let group = groups.find((existing) => equals(existing._id, key));
+      if (!group) {
+        group = { _id: key };
+        Object.keys(fields).forEach((field) => (group[field] = 0));
+        groups.push(group);
+      }
+      for (const [field, accumulator] of Object.entries(fields)) {
+        const [[operator, expression]] = Object.entries(accumulator);
+        if (operator !== "$sum") {
+          throw new Error(`The memory store does not support the ${operator} accumulator.`);
+        }
+        const value = evaluate(doc, expression);
+        if (typeof value === "number") group[field] += value;
+      }
+    }
+    return groups;
+  },
+};
+
+function duplicateKeyError(collection, keyValue) {
+  const err = new Error(
+    `E11000 duplicate key error collection: memory.${collection} dup key: ${JSON.stringify(keyValue)}`
+  );
+  err.name = "MongoServerError";
+  err.code = 11000;
+  err.keyValue = keyValue;
+  return err;
+}
+
+class Cursor {
+  constructor(docs) {
+    this.docs = docs;
+  }
+
+  async toArray() {
+    return this.docs;
+  }
+}
+
+class MemoryCollection {
+  constructor(name, db = null) {
+    this.collectionName = name;
+    this.db = db; // For $lookup into the other collections.
+    this.documents = [];
+    this.uniqueIndexes = [];
+  }
+
+  // The documents matching `filter`, sorted and paged per `options`.
+  select(filter, options = {}) {
+    let docs = this.documents.filter((doc) => matches(doc, filter, options.collation));
+    docs = sortDocuments(docs, options.sort, options.collation);
+    if (options.skip) docs = docs.slice(options.skip);
+    if (options.limit) docs = docs.slice(0, options.limit);
+    return docs;
+  }
+
+  // Throw like MongoDB if `doc` would break a unique index. `replacing` is
+  // the stored document it is about to replace, if any.
+  checkUnique(doc, replacing = null) {
+    for (const fields of this.uniqueIndexes) {
+      const keyValue = {};
+      fields.forEach((field) => (keyValue[field] = getPath(doc, field)));
+      const clash = this.documents.some(
+        (other) => other !== replacing && fields.every((field) => equals(getPath(other, field), keyValue[field]))
+      );
+      if (clash) throw duplicateKeyError(this.collectionName, keyValue);
+    }
+  }
+
+  // Apply `update` to a stored document, rolling back if it breaks an index.
+  updateDocument(doc, update) {
+    const updated = clone(doc);
+    applyUpdate(updated, update, false);
+    updated._id = doc._id;
+    this.checkUnique(updated, doc);
+    const index = this.documents.indexOf(doc);
+    this.documents[index] = updated;
+    return updated;
+  }
+
+  async createIndex(fields, options = {}) {
+    if (options.unique) this.uniqueIndexes.push(Object.keys(fields));
+    return Object.keys(fields).join("_");
+  }
+
+  async createIndexes(indexes) {
+    for (const { key, ...options } of indexes) await this.createIndex(key, options);
+  }
+
+  listIndexes() {
+    return new Cursor([]);
+  }
+
+  // Like the driver, returns a cursor straight away rather than a promise.
+  find(filter, options = {}) {
+    return new Cursor(this.select(filter, options).map((doc) => project(clone(doc), options.projection)));
+  }
+
+  async findOne(filter, options = {}) {
+    const [doc] = this.select(filter, Object.assign({}, options, { limit: 1 }));
+    return doc ? project(clone(doc), options.projection) : null;
+  }
+
+  async countDocuments(filter, options = {}) {
+    return this.select(filter, options).length;
+  }
+
+  // The different values of `key` among matching documents (array fields
+  // contribute each element).
+  async distinct(key, filter = {}, options = {}) {
+    const values = [];
+    for (const doc of this.select(filter, options)) {
+      for (const value of [].concat(getPath(doc, key) ?? [])) {
+        if (!values.some((seen) => equals(seen, value))) values.push(value);
+      }
+    }
+    return values;
+  }
+
+  // Like the driver, returns a cursor straight away rather than a promise.
+  aggregate(pipeline) {
+    let docs = this.documents.map(clone);
+    for (const stage of pipeline) {
+      const [[name, spec]] = Object.entries(stage);
+      if (!AGGREGATION_STAGES[name]) {
+        throw new Error(`The memory store does not support the ${name} aggregation stage.`);
+      }
+      docs = AGGREGATION_STAGES[name](docs, spec, this.db);
+    }
+    return new Cursor(docs);
+  }
+
+  async estimatedDocumentCount() {
+    return this.documents.length;
+  }
+
+  async insertOne(doc) {
+    const stored = clone(doc);
+    this.checkUnique(stored);
+    this.documents.push(stored);
+    return { acknowledged: true, insertedId: stored._id };
+  }
+
+  async insertMany(docs) {
+    const insertedIds = {};
+    for (const [index, doc] of docs.entries()) {
+      insertedIds[index] = (await this.insertOne(doc)).insertedId;
+    }
+    return { acknowledged: true, insertedCount: docs.length, insertedIds };
+  }
+
+  async updateOne(filter, update, options = {}) {
+    return this.updateMany(filter, update, Object.assign({}, options, { limit: 1 }));
+  }
+
+  async updateMany(filter, update, options = {}) {
+    const docs = this.select(filter, { collation: options.collation, limit: options.limit });
+    if (docs.length === 0 && options.upsert) {
+      const doc = this.upsert(filter, update);
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: doc._id };
+    }
+    docs.forEach((doc) => this.updateDocument(doc, update));
+    return { acknowledged: true, matchedCount: docs.length, modifiedCount: docs.length, upsertedCount: 0 };
+  }
+
+  // Insert a document built from the equality parts of `filter` plus `update`.
+  upsert(filter, update) {
+    const doc = {};
+    for (const [key, value] of Object.entries(filter)) {
+      if (!key.startsWith("$") && !(value && typeof value === "object" && !value._bsontype && !(value instanceof Date))) {
+        setPath(doc, key, clone(value));
+      }
+    }
+    applyUpdate(doc, update, true);
+    if (doc._id === undefined) {
+      throw new Error("The memory store can only upsert documents with an _id.");
+    }
+    this.checkUnique(doc);
+    this.documents.push(doc);
+    return doc;
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    const [doc] = this.select(filter, { sort: options.sort, collation: options.collation, limit: 1 });
+    const before = doc ? clone(doc) : null;
+    let after;
+    if (doc) {
+      after = this.updateDocument(doc, update);
+    } else if (options.upsert) {
+      after = this.upsert(filter, update);
+    } else {
+      return { value: null, ok: 1, lastErrorObject: { n: 0, updatedExisting: false } };
+    }
+    const value = options.returnDocument === "after" ? clone(after) : before;
+    return {
+      value: value && project(value, options.projection),
+      ok: 1,
+      lastErrorObject: { n: 1, updatedExisting: Boolean(doc) },
+    };
+  }
+
+  async findOneAndDelete(filter, options = {}) {
+    const [doc] = this.select(filter, { sort: options.sort, collation: options.collation, limit: 1 });
+    if (doc) this.documents.splice(this.documents.indexOf(doc), 1);
+    return { value: doc ? project(doc, options.projection) : null, ok: 1, lastErrorObject: { n: doc ? 1 : 0 } };
+  }
+
+  async deleteOne(filter, options = {}) {
+    return this.deleteMany(filter, Object.assign({}, options, { limit: 1 }));
+  }
+
+  async deleteMany(filter, options = {}) {
+    const docs = this.select(filter, { collation: options.collation, limit: options.limit });
+    this.documents = this.documents.filter((doc) => !docs.includes(doc));
+    return { acknowledged: true, deletedCount: docs.length };
+  }
+
+  async drop() {
+    this.documents = [];
+    return true;
+  }
+}
+
+// Stand-in for the driver's Db: hands out one MemoryCollection per name.
+class MemoryDb {
+  constructor() {
+    this.databaseName = "memory";
+    this.collections = new Map();
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new MemoryCollection(name, this));
+    }
+    return this.collections.get(name);
+  }
+
+  async createCollection(name) {
+    return this.collection(name);
+  }
+
+  async listCollections() {
+    return new Cursor([...this.collections.keys()].map((name) => ({ name })));
+  }
+
+  async dropCollection(name) {
+    return this.collections.delete(name);
+  }
+
+  async dropDatabase() {
+    this.collections.clear();
+    return true;
+  }
+}
+
+module.exports = { MemoryDb, MemoryCollection, matches };
@@ -0,0 +1,19 @@
+// Every model the app stores, by name. Each backend serves these same models
+// from its own connection.
+module.exports = {
+  AuditEntry: require("../models/auditentry"),
+  Author: require("../models/author"),
+  Book: require("../models/book"),
+  BookInstance: require("../models/bookinstance"),
+  Fine: require("../models/fine"),
+  Genre: require("../models/genre"),
+  Hold: require("../models/hold"),
+  Loan: require("../models/loan"),
+  Merge: require("../models/merge"),
+  PasswordReset: require("../models/passwordreset"),
+  Patron: require("../models/patron"),
+  Session: require("../models/session"),
+  User: require("../models/user"),
+  Webhook: require("../models/webhook"),
+  WebhookDelivery: require("../models/webhookdelivery"),
+};
@@ -0,0 +1,11 @@
+const mongoose = require("mongoose");
+const config = require("../config");
+const models = require("./models");
+
+// The MongoDB backend: the models as compiled on mongoose's default
+// connection, which `connect` opens using MONGODB_URI.
+mongoose.set("strictQuery", false);
+
+exports.connect = () => mongoose.connect(config.MONGODB_URI);
+
+Object.assign(exports, models);
@@ -0,0 +1,76 @@
+const express = require("express");
+const createError = require("http-errors");
+const router = express.Router();
+
+// Require API controller modules.
+const book_controller = require("../controllers/api/bookController");
+const author_controller = require("../controllers/api/authorController");
+const genre_controller = require("../controllers/api/genreController");
+const book_instance_controller = require("../controllers/api/bookInstanceController");
+const { requireRole } = require("../middleware/auth");
+
+// Reads are public; changes need a librarian session.
+const librarian = requireRole("librarian");
+
+/// BOOK ROUTES ///
+
+router.get("/books", book_controller.book_list);
+router.post("/books", librarian, book_controller.book_create);
+router.get("/books/:id", book_controller.book_detail);
+router.put("/books/:id", librarian, book_controller.book_update);
+router.delete("/books/:id", librarian, book_controller.book_delete);
+//-----------------------------------------------------------------------
+/// AUTHOR ROUTES ///
+
+router.get("/authors", author_controller.author_list);
+router.post("/authors", librarian, author_controller.author_create);
+router.get("/authors/:id", author_controller.author_detail);
+router.put("/authors/:id", librarian, author_controller.author_update);
+router.delete("/authors/:id", librarian, author_controller.author_delete);
+//-----------------------------------------------------------------------
+/// GENRE ROUTES ///
+
+router.get("/genres", genre_controller.genre_list);
+router.post("/genres", librarian, genre_controller.genre_create);
+router.get("/genres/:id", genre_controller.genre_detail);
+router.put("/genres/:id", librarian, genre_controller.genre_update);
+router.delete("/genres/:id", librarian, genre_controller.genre_delete);
+//-----------------------------------------------------------------------
+/// BOOKINSTANCE ROUTES ///
+
+router.get("/bookinstances", book_instance_controller.bookinstance_list);
+router.post("/bookinstances", librarian, book_instance_controller.bookinstance_create);
+router.get("/bookinstances/:id", book_instance_controller.bookinstance_detail);
+router.put("/bookinstances/:id", librarian, book_instance_controller.bookinstance_update);
+router.delete("/bookinstances/:id", librarian, book_instance_controller.bookinstance_delete);
+//-----------------------------------------------------------------------
+
+// Unknown API routes are a JSON 404, not the HTML error page.
+router.use(function (_req, _res, next) {
+  next(createError(404, "Not found"));
+});
+
+// JSON error handler for everything under the API.
+router.use(function (err, req, res, _next) {
+  if (err.name === "CastError" && err.path === "_id") {
+    // A malformed id can never match a document.
+    err = createError(404, "Not found");
+  } else if (err.name === "ValidationError" || err.name === "CastError") {
+    // Mongoose rejected a value that passed the express-validator chains.
+    const errors = err.errors
+      ? Object.values(err.errors).map((e) => ({ path: e.path, msg: e.message }))
+      : [{ path: err.path, msg: err.message }];
+    return res.status(400).json({ errors });
+  }
+
+  const status = err.status || 500;
+  const error = { status, message: err.message };
+  if (err.dependents) error.dependents = err.dependents;
+  if (err.existing) error.existing = err.existing;
+  if (status >= 500 && req.app.get("env") === "development") {
+    error.stack = err.stack;
+  }
+  res.status(status).json({ error });
+});
+
+module.exports = router;
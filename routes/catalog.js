@@ -6,55 +6,125 @@ const book_controller = require("../controllers/bookController");
 const author_controller = require("../controllers/authorController");
 const genre_controller = require("../controllers/genreController");
 const book_instance_controller = require("../controllers/bookInstanceController");
+const patron_controller = require("../controllers/patronController");
+const hold_controller = require("../controllers/holdController");
+const fine_controller = require("../controllers/fineController");
+const search_controller = require("../controllers/searchController");
+const import_controller = require("../controllers/importController");
+const history_controller = require("../controllers/historyController");
+const trash_controller = require("../controllers/trashController");
+const merge_controller = require("../controllers/mergeController");
+const series_controller = require("../controllers/seriesController");
+const { requireRole } = require("../middleware/auth");
+
+// Catalog changes and circulation are for library staff only.
+const librarian = requireRole("librarian");
 
 /// BOOK ROUTES ///
 
 // GET catalog home page.
 router.get("/", book_controller.index);
 
+// GET search results across books, authors and genres.
+router.get("/search", search_controller.search);
+
+// GET request for the CSV import form.
+router.get("/import", librarian, import_controller.import_get);
+
+// POST request to preview (dry run) a CSV import.
+router.post("/import", librarian, import_controller.import_preview_post);
+
+// POST request to confirm a previewed CSV import.
+router.post("/import/commit", librarian, import_controller.import_commit_post);
+
+// GET request for the MARC import form.
+router.get("/import/marc", librarian, import_controller.marc_import_get);
+
+// POST request to preview (dry run) a MARC import.
+router.post("/import/marc", librarian, import_controller.marc_import_preview_post);
+
+// POST request to confirm a previewed MARC import.
+router.post("/import/marc/commit", librarian, import_controller.marc_import_commit_post);
+
+// GET request for the trash of deleted records.
+router.get("/trash", librarian, trash_controller.trash_list);
+
+// POST request to restore a record from the trash.
+router.post("/trash/:type/:id/restore", librarian, trash_controller.trash_restore_post);
+
+// POST request to purge a record from the trash for good.
+router.post("/trash/:type/:id/purge", librarian, trash_controller.trash_purge_post);
+
 // GET request for creating a Book. NOTE This must come before routes that display Book (uses id).
-router.get("/book/create", book_controller.book_create_get);
+router.get("/book/create", librarian, book_controller.book_create_get);
 
 // POST request for creating Book.
-router.post("/book/create", book_controller.book_create_post);
+router.post("/book/create", librarian, book_controller.book_create_post);
 
 // GET request to delete Book.
-router.get("/book/:id/delete", book_controller.book_delete_get);
+router.get("/book/:id/delete", librarian, book_controller.book_delete_get);
 
 // POST request to delete Book.
-router.post("/book/:id/delete", book_controller.book_delete_post);
+router.post("/book/:id/delete", librarian, book_controller.book_delete_post);
 
 // GET request to update Book.
-router.get("/book/:id/update", book_controller.book_update_get);
+router.get("/book/:id/update", librarian, book_controller.book_update_get);
 
 // POST request to update Book.
-router.post("/book/:id/update", book_controller.book_update_post);
+router.post("/book/:id/update", librarian, book_controller.book_update_post);
+
+// GET request to place a hold on a Book.
+router.get("/book/:id/hold", librarian, hold_controller.hold_create_get);
+
+// POST request to place a hold on a Book.
+router.post("/book/:id/hold", librarian, hold_controller.hold_create_post);
+
+// GET request for the change history of a Book.
+router.get("/book/:id/history", librarian, history_controller.book_history);
+
+// POST request to revert a Book to an earlier version.
+router.post("/book/:id/history/:entry/revert", librarian, history_controller.book_revert_post);
 
 // GET request for one Book.
 router.get("/book/:id", book_controller.book_detail);
 
 // GET request for list of all Book items.
 router.get("/books", book_controller.book_list);
+
+// GET request for citations of the books ticked on the list.
+router.get("/books/citations", book_controller.book_citations);
 //-----------------------------------------------------------------------
 /// AUTHOR ROUTES ///
 
 // GET request for creating Author. NOTE This must come before route for id (i.e. display author).
-router.get("/author/create", author_controller.author_create_get);
+router.get("/author/create", librarian, author_controller.author_create_get);
 
 // POST request for creating Author.
-router.post("/author/create", author_controller.author_create_post);
+router.post("/author/create", librarian, author_controller.author_create_post);
 
 // GET request to delete Author.
-router.get("/author/:id/delete", author_controller.author_delete_get);
+router.get("/author/:id/delete", librarian, author_controller.author_delete_get);
 
 // POST request to delete Author.
-router.post("/author/:id/delete", author_controller.author_delete_post);
+router.post("/author/:id/delete", librarian, author_controller.author_delete_post);
 
 // GET request to update Author.
-router.get("/author/:id/update", author_controller.author_update_get);
+router.get("/author/:id/update", librarian, author_controller.author_update_get);
 
 // POST request to update Author.
-router.post("/author/:id/update", author_controller.author_update_post);
+router.post("/author/:id/update", librarian, author_controller.author_update_post);
+
+// GET request to merge an Author into another.
+router.get("/author/:id/merge", librarian, merge_controller.author_merge_get);
+
+// POST request to preview, then confirm, merging an Author into another.
+router.post("/author/:id/merge", librarian, merge_controller.author_merge_post);
+
+// GET request for the change history of an Author.
+router.get("/author/:id/history", librarian, history_controller.author_history);
+
+// POST request to revert an Author to an earlier version.
+router.post("/author/:id/history/:entry/revert", librarian, history_controller.author_revert_post);
 
 // GET request for one Author.
 router.get("/author/:id", author_controller.author_detail);
@@ -65,22 +135,34 @@ router.get("/authors", author_controller.author_list);
 /// GENRE ROUTES ///
 
 // GET request for creating a Genre. NOTE This must come before route that displays Genre (uses id).
-router.get("/genre/create", genre_controller.genre_create_get);
+router.get("/genre/create", librarian, genre_controller.genre_create_get);
 
 //POST request for creating Genre.
-router.post("/genre/create", genre_controller.genre_create_post);
+router.post("/genre/create", librarian, genre_controller.genre_create_post);
 
 // GET request to delete Genre.
-router.get("/genre/:id/delete", genre_controller.genre_delete_get);
+router.get("/genre/:id/delete", librarian, genre_controller.genre_delete_get);
 
 // POST request to delete Genre.
-router.post("/genre/:id/delete", genre_controller.genre_delete_post);
+router.post("/genre/:id/delete", librarian, genre_controller.genre_delete_post);
 
 // GET request to update Genre.
-router.get("/genre/:id/update", genre_controller.genre_update_get);
+router.get("/genre/:id/update", librarian, genre_controller.genre_update_get);
 
 // POST request to update Genre.
-router.post("/genre/:id/update", genre_controller.genre_update_post);
+router.post("/genre/:id/update", librarian, genre_controller.genre_update_post);
+
+// GET request to merge a Genre into another.
+router.get("/genre/:id/merge", librarian, merge_controller.genre_merge_get);
+
+// POST request to preview, then confirm, merging a Genre into another.
+router.post("/genre/:id/merge", librarian, merge_controller.genre_merge_post);
+
+// GET request for the change history of a Genre.
+router.get("/genre/:id/history", librarian, history_controller.genre_history);
+
+// POST request to revert a Genre to an earlier version.
+router.post("/genre/:id/history/:entry/revert", librarian, history_controller.genre_revert_post);
 
 // GET request for one Genre.
 router.get("/genre/:id", genre_controller.genre_detail);
@@ -88,48 +170,139 @@ router.get("/genre/:id", genre_controller.genre_detail);
 // GET request for list of all Genre.
 router.get("/genres", genre_controller.genre_list);
 //-----------------------------------------------------------------------
+/// SERIES ROUTES ///
+
+// GET request for one series, its volumes in order.
+router.get("/series/:name", series_controller.series_detail);
+
+// GET request for list of all series.
+router.get("/series", series_controller.series_list);
+//-----------------------------------------------------------------------
 /// BOOKINSTANCE ROUTES ///
 
 // GET request for creating a BookInstance. NOTE This must come before route that displays BookInstance (uses id).
 router.get(
   "/bookinstance/create",
+  librarian,
   book_instance_controller.bookinstance_create_get,
 );
 
 // POST request for creating BookInstance.
 router.post(
   "/bookinstance/create",
+  librarian,
   book_instance_controller.bookinstance_create_post,
 );
 
 // GET request to delete BookInstance.
 router.get(
   "/bookinstance/:id/delete",
+  librarian,
   book_instance_controller.bookinstance_delete_get,
 );
 
 // POST request to delete BookInstance.
 router.post(
   "/bookinstance/:id/delete",
+  librarian,
   book_instance_controller.bookinstance_delete_post,
 );
 
 // GET request to update BookInstance.
 router.get(
   "/bookinstance/:id/update",
+  librarian,
   book_instance_controller.bookinstance_update_get,
 );
 
 // POST request to update BookInstance.
 router.post(
   "/bookinstance/:id/update",
+  librarian,
   book_instance_controller.bookinstance_update_post,
 );
 
+// GET request to check out a BookInstance to a Patron.
+router.get(
+  "/bookinstance/:id/checkout",
+  librarian,
+  book_instance_controller.bookinstance_checkout_get,
+);
+
+// POST request to check out a BookInstance to a Patron.
+router.post(
+  "/bookinstance/:id/checkout",
+  librarian,
+  book_instance_controller.bookinstance_checkout_post,
+);
+
+// GET request to return a loaned BookInstance.
+router.get(
+  "/bookinstance/:id/return",
+  librarian,
+  book_instance_controller.bookinstance_return_get,
+);
+
+// POST request to return a loaned BookInstance.
+router.post(
+  "/bookinstance/:id/return",
+  librarian,
+  book_instance_controller.bookinstance_return_post,
+);
+
+// GET request for the change history of a BookInstance.
+router.get("/bookinstance/:id/history", librarian, history_controller.bookinstance_history);
+
+// POST request to revert a BookInstance to an earlier version.
+router.post("/bookinstance/:id/history/:entry/revert", librarian, history_controller.bookinstance_revert_post);
+
 // GET request for one BookInstance.
 router.get("/bookinstance/:id", book_instance_controller.bookinstance_detail);
 
 // GET request for list of all BookInstance.
 router.get("/bookinstances", book_instance_controller.bookinstance_list);
 
+// GET request for the overdue copies report.
+router.get("/overdue", librarian, fine_controller.overdue_report);
+//-----------------------------------------------------------------------
+/// PATRON ROUTES ///
+
+// GET request for creating a Patron. NOTE This must come before route that displays Patron (uses id).
+router.get("/patron/create", librarian, patron_controller.patron_create_get);
+
+// POST request for creating Patron.
+router.post("/patron/create", librarian, patron_controller.patron_create_post);
+
+// GET request to delete Patron.
+router.get("/patron/:id/delete", librarian, patron_controller.patron_delete_get);
+
+// POST request to delete Patron.
+router.post("/patron/:id/delete", librarian, patron_controller.patron_delete_post);
+
+// GET request to update Patron.
+router.get("/patron/:id/update", librarian, patron_controller.patron_update_get);
+
+// POST request to update Patron.
+router.post("/patron/:id/update", librarian, patron_controller.patron_update_post);
+
+// GET request for a Patron's fines ledger.
+router.get("/patron/:id/fines", librarian, fine_controller.patron_fines);
+
+// POST request to record a fine payment for a Patron.
+router.post("/patron/:id/fines/pay", librarian, fine_controller.fine_pay_post);
+
+// POST request to waive fines for a Patron.
+router.post("/patron/:id/fines/waive", librarian, fine_controller.fine_waive_post);
+
+// GET request for one Patron.
+router.get("/patron/:id", librarian, patron_controller.patron_detail);
+
+// GET request for list of all Patrons.
+router.get("/patrons", librarian, patron_controller.patron_list);
+//-----------------------------------------------------------------------
+/// HOLD ROUTES ///
+
+// POST request to cancel a Hold.
+router.post("/hold/:id/cancel", librarian, hold_controller.hold_cancel_post);
+
 module.exports = router;
@@ -0,0 +1,33 @@
+const express = require("express");
+const router = express.Router();
+
+// Require controller modules.
+const opds_controller = require("../controllers/opdsController");
+
+/// OPDS CATALOG ROUTES ///
+
+// GET the root navigation feed.
+router.get("/", opds_controller.opds_root);
+
+// GET the acquisition feed of the newest books.
+router.get("/new", opds_controller.opds_new);
+
+// GET the navigation feed of authors.
+router.get("/authors", opds_controller.opds_authors);
+
+// GET the acquisition feed of one author's books.
+router.get("/author/:id", opds_controller.opds_author);
+
+// GET the navigation feed of genres.
+router.get("/genres", opds_controller.opds_genres);
+
+// GET the acquisition feed of one genre's books.
+router.get("/genre/:id", opds_controller.opds_genre);
+
+// GET the acquisition feed of search results.
+router.get("/search", opds_controller.opds_search);
+
+// GET the OpenSearch description of the search.
+router.get("/opensearch.xml", opds_controller.opensearch);
+
+module.exports = router;
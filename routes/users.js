@@ -1,9 +1,43 @@
 const express = require('express');
 const router = express.Router();
 
-/* GET users listing. */
-router.get('/', function (_req, res, _next) {
-  res.send('respond with a resource');
-});
+const user_controller = require("../controllers/userController");
+const { requireLogin, requireRole } = require("../middleware/auth");
+
+// GET account page for the logged-in user.
+router.get('/', requireLogin, user_controller.account);
+
+// GET list of accounts and their roles.
+router.get("/admin", requireRole("admin"), user_controller.user_list);
+
+// POST request to change an account's role.
+router.post("/:id/role", requireRole("admin"), user_controller.user_role_post);
+
+// GET request for the registration form.
+router.get("/register", user_controller.register_get);
+
+// POST request to register a new account.
+router.post("/register", user_controller.register_post);
+
+// GET request for the login form.
+router.get("/login", user_controller.login_get);
+
+// POST request to log in.
+router.post("/login", user_controller.login_post);
+
+// POST request to log out.
+router.post("/logout", user_controller.logout_post);
+
+// GET request for the forgotten password form.
+router.get("/forgot", user_controller.forgot_get);
+
+// POST request to send a password reset link.
+router.post("/forgot", user_controller.forgot_post);
+
+// GET request to choose a new password with a reset token.
+router.get("/reset/:token", user_controller.reset_get);
+
+// POST request to set a new password with a reset token.
+router.post("/reset/:token", user_controller.reset_post);
 
 module.exports = router;
@@ -0,0 +1,37 @@
+const express = require("express");
+const router = express.Router();
+
+const webhook_controller = require("../controllers/webhookController");
+const { requireRole } = require("../middleware/auth");
+
+// Webhooks send catalog changes to outside systems, so only admins manage them.
+router.use(requireRole("admin"));
+
+// GET list of all webhooks.
+router.get("/", webhook_controller.webhook_list);
+
+// GET request for creating a Webhook. NOTE This must come before route that displays Webhook (uses id).
+router.get("/create", webhook_controller.webhook_create_get);
+
+// POST request for creating a Webhook.
+router.post("/create", webhook_controller.webhook_create_post);
+
+// POST request to send a failed delivery again.
+router.post("/delivery/:id/redeliver", webhook_controller.delivery_redeliver_post);
+
+// GET request to update a Webhook.
+router.get("/:id/update", webhook_controller.webhook_update_get);
+
+// POST request to update a Webhook.
+router.post("/:id/update", webhook_controller.webhook_update_post);
+
+// POST request to give a Webhook a new signing secret.
+router.post("/:id/secret", webhook_controller.webhook_secret_post);
+
+// POST request to delete a Webhook.
+router.post("/:id/delete", webhook_controller.webhook_delete_post);
+
+// GET request for one Webhook, with its delivery log.
+router.get("/:id", webhook_controller.webhook_detail);
+
+module.exports = router;